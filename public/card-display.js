@@ -0,0 +1,86 @@
+// Big-card screen shared by the cast receiver (receiver.html) and present mode (present.html).
+// handleMessage() takes the sender's card / flip / progress / results messages.
+(function () {
+  let currentCard = null;
+  let showBack = false;
+  
+  const cardTextEl = document.getElementById('card-text');
+  const cardImageEl = document.getElementById('card-image');
+  const hintEl = document.getElementById('card-flip-hint');
+  const progressEl = document.getElementById('progress');
+  
+  function handleMessage(data) {
+    if (data.type === 'card') {
+      if (data.theme) applyTheme(data.theme);
+      currentCard = data.card;
+      showBack = !!data.showBack;
+      updateDisplay();
+      
+      // Show progress
+      if (data.idx && data.total) {
+        progressEl.textContent = `${data.idx} / ${data.total}`;
+      }
+    } else if (data.type === 'flip') {
+      // Senders say which side is up; older ones just toggle
+      showBack = typeof data.showBack === 'boolean' ? data.showBack : !showBack;
+      updateDisplay();
+    } else if (data.type === 'progress') {
+      // Multiple-choice tests: the card stays on the phone, the TV shows how far along we are
+      currentCard = null;
+      cardTextEl.textContent = `Card ${data.idx} of ${data.total}`;
+      cardImageEl.style.display = 'none';
+      hintEl.style.display = 'none';
+      progressEl.textContent = typeof data.correct === 'number' ? `⭐ ${data.correct}` : `${data.idx} / ${data.total}`;
+    } else if (data.type === 'results') {
+      showResults(data.score, data.message);
+    }
+  }
+  
+  // Deck theme colours from the sender (same palette as the app's card pictures)
+  function applyTheme(theme) {
+    document.body.style.background = `linear-gradient(to bottom, ${theme.top}, ${theme.bottom})`;
+    progressEl.style.color = theme.top === theme.bottom ? '#475569' : theme.text;
+  }
+  
+  function updateDisplay() {
+    if (!currentCard) return;
+    
+    const text = showBack 
+      ? (currentCard.back || currentCard.front || '')
+      : (currentCard.front || '');
+      
+    const image = showBack ? currentCard.backImage : currentCard.frontImage;
+      
+    cardTextEl.textContent = text;
+    cardImageEl.style.display = image ? 'block' : 'none';
+    if (image) cardImageEl.src = image;
+    hintEl.style.display = currentCard.back ? 'block' : 'none';
+  }
+  
+  // The sender words the message (cardRenderer.resultMessage), so the TV matches the phone
+  function showResults(score, message) {
+    currentCard = null;
+    cardTextEl.textContent = message || `${score.correct} / ${score.total}`;
+    cardImageEl.style.display = 'none';
+    hintEl.style.display = 'none';
+    progressEl.textContent = `${score.correct} / ${score.total}`;
+  }
+  
+  // Plain text on the card (waiting / ended screens)
+  function showText(text) {
+    currentCard = null;
+    cardTextEl.textContent = text;
+    cardImageEl.style.display = 'none';
+    hintEl.style.display = 'none';
+  }
+  
+  // Allow tap to flip card
+  document.getElementById('card-container').addEventListener('click', () => {
+    if (currentCard && currentCard.back) {
+      showBack = !showBack;
+      updateDisplay();
+    }
+  });
+  
+  window.CardDisplay = { handleMessage, showText };
+})();
@@ -3,51 +3,227 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const sharp = require('sharp');
+const { createStore } = require('./server/store');
+const { createApiRouter, COLLECTIONS } = require('./server/api');
+const { createPresentRouter } = require('./server/present');
+const { HISTORY_COLLECTIONS, createRevisionTracker, createRevisionRouter } = require('./server/revisions');
+const { createShareRouter } = require('./server/shares');
+const { createClassroomRouter } = require('./server/classroom');
+const { loadConfig } = require('./server/config');
+const { sniffImageType, hashedName, writeOnce, audioFilesIn, cleanupCastFrames } = require('./server/uploads');
 
+const config = loadConfig();
 const app = express();
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Create uploads directories if they don't exist
+const uploadsDir = config.uploadDir;
+const audioDir = path.join(uploadsDir, 'audio');
+const thumbsDir = path.join(uploadsDir, 'thumbs');
+for (const dir of [audioDir, thumbsDir]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Deck/profile/session data (json-server compatible db.json; point DATA_FILE at an existing one to migrate)
+const store = createStore(config.dataFile, [...Object.keys(COLLECTIONS), ...HISTORY_COLLECTIONS, 'shares']);
+
+// Every deck the store still holds: live decks, saved versions, the trash and share snapshots
+const storedDecks = () => [
+  ...store.list('decks'),
+  ...[...HISTORY_COLLECTIONS, 'shares'].flatMap((name) => store.list(name).map((record) => record.deck)),
+];
+
+// Deck copies that left the store: delete the clips only they used
+function releaseAudio(decks) {
+  const inUse = audioFilesIn(storedDecks());
+  for (const filename of audioFilesIn(decks)) {
+    const filepath = path.join(audioDir, filename);
+    if (inUse.has(filename) || !/^audio_[\w.-]+$/.test(filename) || !fs.existsSync(filepath)) continue;
+    try {
+      fs.unlinkSync(filepath);
+    } catch (error) {
+      console.error('Error deleting audio:', error);
+    }
+  }
 }
 
+const revisions = createRevisionTracker(store, { onDrop: releaseAudio });
+
+// Built React app (npm run build)
+const buildDir = config.buildDir;
+
+// Editor thumbnails for picture cards (same filename under uploads/thumbs)
+const THUMB_SIZE = 240;
+
+// Public URL for uploads (UPLOADS_PUBLIC_URL behind an HTTPS proxy, otherwise relative)
+const PUBLIC_UPLOADS_URL = config.publicUploadsUrl;
+
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage, limits: { fileSize: 10 * 1024 * 1024 } });
 
+// Recorded card audio: small clips from MediaRecorder only
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+};
+const audioUpload = multer({
+  storage: storage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    // MediaRecorder sends e.g. "audio/webm;codecs=opus"
+    const type = file.mimetype.split(';')[0].trim().toLowerCase();
+    if (!AUDIO_TYPES[type]) return cb(new Error(`Unsupported audio type: ${file.mimetype}`));
+    cb(null, true);
+  },
+});
+
 app.use(cors());
-app.use(express.json());
+
+// Present mode (second screen over SSE); before /api, whose router answers unknown routes with 404
+app.use('/api/present', createPresentRouter());
+
+// Short codes for shared decks
+app.use('/api/shares', createShareRouter(store));
+
+// Teacher view over everyone's sessions
+app.use('/api/class', createClassroomRouter(store));
+
+// Deck revisions and trash, then the data API (replaces the separate json-server)
+app.use('/api', createRevisionRouter(store, revisions));
+app.use('/api', createApiRouter(store, { onChange: revisions.onChange }));
 
 // Serve uploaded images
 app.use('/uploads', express.static(uploadsDir));
 
-// Upload endpoint
-app.post('/upload-image', upload.single('image'), (req, res) => {
+// Upload endpoint (?thumbnail=1 is for picture cards: also writes a small preview for the editor)
+app.post('/upload-image', upload.single('image'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No image provided' });
   }
 
+  const isCardImage = Boolean(req.query.thumbnail);
+  const ext = sniffImageType(req.file.buffer);
+  if (!ext) {
+    return res.status(415).json({ error: 'Unsupported image (JPEG, PNG, GIF or WebP only)' });
+  }
+
   try {
-    // Generate unique filename
-    const filename = `cast_${Date.now()}_${Math.random().toString(36).substring(7)}.jpg`;
+    // Content-hash filename: the same image is stored once
+    const filename = hashedName(isCardImage ? 'card' : 'cast', req.file.buffer, ext);
     const filepath = path.join(uploadsDir, filename);
 
+    // Thumbnail first (same name and format): sharp rejects anything that isn't a real image
+    const thumbPath = path.join(thumbsDir, filename);
+    if (isCardImage && !fs.existsSync(thumbPath)) {
+      try {
+        await sharp(req.file.buffer)
+          .rotate()
+          .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .toFile(thumbPath);
+      } catch (error) {
+        return res.status(415).json({ error: 'Unsupported image' });
+      }
+    }
+
     // Save file to disk
-    fs.writeFileSync(filepath, req.file.buffer);
+    writeOnce(filepath, req.file.buffer);
 
     // Return URL that will work through HTTPS proxy
-    const imageUrl = `https://flashcards.dwk001.com/uploads/${filename}`;
-    
-    res.json({ url: imageUrl });
+    const imageUrl = `${PUBLIC_UPLOADS_URL}/${filename}`;
+
+    res.json(isCardImage ? { url: imageUrl, thumbUrl: `${PUBLIC_UPLOADS_URL}/thumbs/${filename}` } : { url: imageUrl });
   } catch (error) {
     console.error('Error saving image:', error);
     res.status(500).json({ error: 'Failed to save image' });
   }
 });
 
-const PORT = 8087;
-app.listen(PORT, () => {
-  console.log(`Image upload server running on port ${PORT}`);
+// Audio upload endpoint
+app.post('/upload-audio', (req, res) => {
+  audioUpload.single('audio')(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Audio clip is too large (max 2 MB)' });
+    }
+    if (err) {
+      return res.status(415).json({ error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio provided' });
+    }
+
+    try {
+      const ext = AUDIO_TYPES[req.file.mimetype.split(';')[0].trim().toLowerCase()];
+      const filename = hashedName('audio', req.file.buffer, ext);
+      writeOnce(path.join(audioDir, filename), req.file.buffer);
+      res.json({ url: `${PUBLIC_UPLOADS_URL}/audio/${filename}` });
+    } catch (error) {
+      console.error('Error saving audio:', error);
+      res.status(500).json({ error: 'Failed to save audio' });
+    }
+  });
+});
+
+// Delete a recorded clip that was never saved in a deck (re-recorded or discarded in the editor);
+// refused while any stored deck still uses it. Clips of saved decks go through releaseAudio.
+app.delete('/uploads/audio/:filename', (req, res) => {
+  const { filename } = req.params;
+  if (!/^audio_[\w.-]+$/.test(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+
+  // Other libraries on this server (shared or imported decks) may use the same clip
+  if (audioFilesIn(storedDecks()).has(filename)) {
+    return res.status(409).json({ error: 'Clip is still used by a deck' });
+  }
+
+  const filepath = path.join(audioDir, filename);
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    fs.unlinkSync(filepath);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting audio:', error);
+    res.status(500).json({ error: 'Failed to delete audio' });
+  }
+});
+
+// Serve the built app; any other GET falls back to index.html
+if (fs.existsSync(buildDir)) {
+  app.use(express.static(buildDir));
+  app.use((req, res, next) => {
+    if (req.method !== 'GET' || req.path.startsWith('/uploads/')) return next();
+    res.sendFile(path.join(buildDir, 'index.html'));
+  });
+}
+
+// Cast frames are only needed while they're on screen: sweep hourly and at startup
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+function sweepCastFrames() {
+  try {
+    const deleted = cleanupCastFrames(uploadsDir, { ttlMs: config.castFrameTtlMs, maxBytes: config.castFrameMaxBytes });
+    if (deleted.length) console.log(`Removed ${deleted.length} old cast frame(s)`);
+  } catch (error) {
+    console.error('Cast frame cleanup failed:', error);
+  }
+}
+sweepCastFrames();
+setInterval(sweepCastFrames, CLEANUP_INTERVAL_MS).unref();
+
+// Trashed decks are kept for 30 days
+setInterval(revisions.purgeExpired, CLEANUP_INTERVAL_MS).unref();
+
+app.listen(config.port, () => {
+  console.log(`Flashcards server running on port ${config.port}`);
 });
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ValidationError, validateDeck, validateProfile, validateSession, validateCurriculum } = require('./validate');
+
+// Collections served under /api, json-server style (GET list/one, POST, PUT, PATCH, DELETE)
+const COLLECTIONS = {
+  decks: validateDeck,
+  profiles: validateProfile,
+  sessions: validateSession,
+  curricula: validateCurriculum,
+};
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// onChange(name, before, after) runs after every write; after is null for a DELETE
+function createApiRouter(store, { onChange = () => {} } = {}) {
+  const router = express.Router();
+  router.use(express.json({ limit: '2mb' }));
+
+  for (const [name, validate] of Object.entries(COLLECTIONS)) {
+    const notFound = (res, id) => res.status(404).json({ error: `No record ${id} in ${name}` });
+
+    router.get(`/${name}`, (req, res) => {
+      res.json(store.list(name));
+    });
+
+    router.get(`/${name}/:id`, (req, res) => {
+      const record = store.get(name, req.params.id);
+      if (!record) return notFound(res, req.params.id);
+      res.json(record);
+    });
+
+    router.post(`/${name}`, (req, res) => {
+      const record = validate(isObject(req.body) ? { id: crypto.randomUUID(), ...req.body } : req.body);
+      if (store.get(name, record.id)) {
+        return res.status(409).json({ error: `Record ${record.id} already exists in ${name}` });
+      }
+      store.insert(name, record);
+      onChange(name, null, record);
+      res.status(201).json(record);
+    });
+
+    router.put(`/${name}/:id`, (req, res) => {
+      const { id } = req.params;
+      const existing = store.get(name, id);
+      if (!existing) return notFound(res, id);
+      if (isObject(req.body) && req.body.id !== undefined && req.body.id !== id) {
+        return res.status(400).json({ error: 'id in the body does not match the URL' });
+      }
+      const record = validate(isObject(req.body) ? { ...req.body, id } : req.body);
+      store.replace(name, id, record);
+      onChange(name, existing, record);
+      res.json(record);
+    });
+
+    router.patch(`/${name}/:id`, (req, res) => {
+      const { id } = req.params;
+      const existing = store.get(name, id);
+      if (!existing) return notFound(res, id);
+      if (!isObject(req.body)) throw new ValidationError('Body must be a JSON object');
+      const record = validate({ ...existing, ...req.body, id });
+      store.replace(name, id, record);
+      onChange(name, existing, record);
+      res.json(record);
+    });
+
+    router.delete(`/${name}/:id`, (req, res) => {
+      const { id } = req.params;
+      const existing = store.get(name, id);
+      if (!existing) return notFound(res, id);
+      store.remove(name, id);
+      onChange(name, existing, null);
+      res.status(204).end();
+    });
+  }
+
+  router.use((req, res) => {
+    res.status(404).json({ error: `Unknown API route: ${req.method} ${req.path}` });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed JSON body' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+    console.error('API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter, COLLECTIONS };
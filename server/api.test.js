@@ -0,0 +1,49 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./store');
+const { createApiRouter, COLLECTIONS } = require('./api');
+const { listen } = require('./testClient');
+
+let dir;
+let client;
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-api-'));
+  const store = createStore(path.join(dir, 'db.json'), Object.keys(COLLECTIONS));
+  const app = express();
+  app.use('/api', createApiRouter(store));
+  client = await listen(app);
+});
+
+afterAll(async () => {
+  await client.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stores a valid deck and reads it back', async () => {
+  const deck = { id: 'd', name: 'Sight words', cards: [{ id: 'c1', front: 'the' }] };
+  expect((await client.request('POST', '/api/decks', deck)).status).toBe(201);
+  expect((await client.request('GET', '/api/decks/d')).body).toEqual(deck);
+  expect((await client.request('POST', '/api/decks', deck)).status).toBe(409);
+});
+
+test('unknown collections and records are 404s', async () => {
+  const unknown = await client.request('GET', '/api/widgets');
+  expect(unknown.status).toBe(404);
+  expect(unknown.body.error).toMatch(/Unknown API route/);
+  expect((await client.request('GET', '/api/decks/nope')).status).toBe(404);
+});
+
+test('invalid and malformed bodies are 400s', async () => {
+  const invalid = await client.request('POST', '/api/decks', { id: 'x', cards: [] });
+  expect(invalid).toMatchObject({ status: 400, body: { error: 'name is required' } });
+  expect((await client.request('POST', '/api/decks', '{"id":')).status).toBe(400);
+  expect((await client.request('PUT', '/api/decks/d', { id: 'other', name: 'x', cards: [] })).status).toBe(400);
+});
+
+test('bodies over 2 MB are 413s', async () => {
+  const res = await client.request('POST', '/api/decks', { id: 'big', name: 'Big', cards: [{ id: 'c', front: 'x'.repeat(3 * 1024 * 1024) }] });
+  expect(res.status).toBe(413);
+});
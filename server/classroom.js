@@ -0,0 +1,126 @@
+const express = require('express');
+
+/**
+ * Teacher view: class-wide results built from the stored sessions and profiles.
+ *   GET /api/class/students        -> roster: every child with test count and last activity
+ *   GET /api/class/decks/:deckId   -> students × cards grid, class trouble cards, suggested small groups
+ * A cell combines test answers (sessions[].results) with practice answers from the child's
+ * schedule (its per-card seen/correct counters), so practice-only children show up too.
+ * Schedule entries saved before those counters existed only contribute their test answers.
+ */
+
+const WEAK_BELOW = 0.7; // accuracy under this counts as "missing" a card
+const MIN_GROUP = 2;
+
+function studentList(profiles, sessions) {
+  return profiles.map((p) => {
+    const mine = sessions.filter((s) => s.profileId === p.id);
+    return {
+      id: p.id,
+      name: p.name,
+      color: p.color,
+      tests: mine.length,
+      lastActive: mine.reduce((latest, s) => Math.max(latest, s.finishedAt || 0), 0) || null,
+    };
+  });
+}
+
+function cellsFor(deck, profile, sessions) {
+  const schedule = (profile.progress && profile.progress[deck.id] && profile.progress[deck.id].schedule) || {};
+  const cells = {};
+  for (const card of deck.cards) {
+    const entry = schedule[card.id];
+    cells[card.id] = { attempts: (entry && entry.seen) || 0, correct: (entry && entry.correct) || 0 };
+  }
+  for (const session of sessions) {
+    if (session.profileId !== profile.id || session.deckId !== deck.id) continue;
+    for (const r of session.results || []) {
+      const cell = cells[r.cardId];
+      if (!cell) continue; // card since removed from the deck
+      cell.attempts++;
+      if (r.correct) cell.correct++;
+    }
+  }
+  for (const cell of Object.values(cells)) {
+    cell.accuracy = cell.attempts ? cell.correct / cell.attempts : null;
+  }
+  return cells;
+}
+
+// Cards missed by the same children are grouped; each group keeps the children all of its cards have in common
+function suggestGroups(deck, weakByCard) {
+  const candidates = deck.cards
+    .map((card) => ({ card, students: weakByCard[card.id] }))
+    .filter((x) => x.students.length >= MIN_GROUP)
+    .sort((a, b) => b.students.length - a.students.length);
+  const groups = [];
+  for (const { card, students } of candidates) {
+    const group = groups.find((g) => {
+      const shared = g.studentIds.filter((id) => students.includes(id));
+      const union = new Set([...g.studentIds, ...students]).size;
+      return shared.length >= MIN_GROUP && shared.length / union >= 0.5;
+    });
+    if (group) {
+      group.studentIds = group.studentIds.filter((id) => students.includes(id));
+      group.cardIds.push(card.id);
+    } else {
+      groups.push({ studentIds: students.slice(), cardIds: [card.id] });
+    }
+  }
+  return groups.sort((a, b) => b.cardIds.length * b.studentIds.length - a.cardIds.length * a.studentIds.length);
+}
+
+function deckReport(deck, profiles, sessions) {
+  const grid = {};
+  for (const profile of profiles) grid[profile.id] = cellsFor(deck, profile, sessions);
+
+  const weakByCard = {};
+  const cards = deck.cards.map((card) => {
+    let attempts = 0;
+    let correct = 0;
+    const seenBy = [];
+    weakByCard[card.id] = [];
+    for (const profile of profiles) {
+      const cell = grid[profile.id][card.id];
+      if (!cell.attempts) continue;
+      attempts += cell.attempts;
+      correct += cell.correct;
+      seenBy.push(profile.id);
+      if (cell.accuracy < WEAK_BELOW) weakByCard[card.id].push(profile.id);
+    }
+    return {
+      id: card.id,
+      front: card.front,
+      accuracy: attempts ? correct / attempts : null,
+      students: seenBy.length,
+      struggling: weakByCard[card.id].slice(),
+    };
+  });
+
+  // Trouble: at least half of the children who tried it are missing it
+  const trouble = cards
+    .filter((c) => c.struggling.length >= MIN_GROUP && c.struggling.length / c.students >= 0.5)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .map((c) => c.id);
+
+  return { deck: { id: deck.id, name: deck.name }, cards, grid, trouble, groups: suggestGroups(deck, weakByCard) };
+}
+
+function createClassroomRouter(store) {
+  const router = express.Router();
+
+  router.get('/students', (req, res) => {
+    res.json(studentList(store.list('profiles'), store.list('sessions')));
+  });
+
+  router.get('/decks/:deckId', (req, res) => {
+    const deck = store.get('decks', req.params.deckId);
+    if (!deck) return res.status(404).json({ error: `No deck ${req.params.deckId}` });
+    const report = deckReport(deck, store.list('profiles'), store.list('sessions'));
+    res.json({ ...report, students: studentList(store.list('profiles'), store.list('sessions')) });
+  });
+
+  return router;
+}
+
+module.exports = { createClassroomRouter, deckReport, suggestGroups, WEAK_BELOW };
@@ -0,0 +1,46 @@
+const { deckReport, suggestGroups } = require('./classroom');
+
+const deck = { id: 'd', name: 'Sight words', cards: ['the', 'was', 'saw', 'said'].map((front) => ({ id: front, front })) };
+const profiles = ['ann', 'ben', 'cy', 'dee'].map((id) => ({ id, name: id, color: '#000' }));
+
+// one test per child: the cards they got wrong, everything else right
+const session = (profileId, missed) => ({
+  id: `s-${profileId}`,
+  profileId,
+  deckId: 'd',
+  finishedAt: 1,
+  results: deck.cards.map((c) => ({ cardId: c.id, correct: !missed.includes(c.id) })),
+});
+
+test('practice answers count from the seen/correct counters, not reps', () => {
+  const practiced = [{ ...profiles[0], progress: { d: { schedule: { the: { reps: 0, lapses: 1, seen: 11, correct: 10 } } } } }];
+  const report = deckReport(deck, practiced, []);
+  expect(report.grid.ann.the).toEqual({ attempts: 11, correct: 10, accuracy: 10 / 11 });
+  expect(report.grid.ann.was).toEqual({ attempts: 0, correct: 0, accuracy: null });
+  expect(report.cards[0]).toMatchObject({ id: 'the', students: 1, struggling: [] });
+});
+
+test('older schedule entries without counters only count test answers', () => {
+  const old = [{ ...profiles[0], progress: { d: { schedule: { the: { reps: 3, lapses: 0 } } } } }];
+  const report = deckReport(deck, old, [session('ann', ['the'])]);
+  expect(report.grid.ann.the).toEqual({ attempts: 1, correct: 0, accuracy: 0 });
+});
+
+test('trouble cards are the ones at least half the class is missing, worst first', () => {
+  const sessions = [session('ann', ['was', 'saw']), session('ben', ['was', 'saw']), session('cy', ['was']), session('dee', ['said'])];
+  const report = deckReport(deck, profiles, sessions);
+  expect(report.trouble).toEqual(['was', 'saw']);
+  expect(report.cards.find((c) => c.id === 'saw')).toMatchObject({ accuracy: 0.5, students: 4, struggling: ['ann', 'ben'] });
+  // cards only one child misses don't make a group
+  expect(report.groups).toEqual([
+    { studentIds: ['ann', 'ben'], cardIds: ['was', 'saw'] },
+  ]);
+});
+
+test('groups split when different children miss different cards', () => {
+  const weakByCard = { the: ['ann', 'ben'], was: ['ann', 'ben'], saw: ['cy', 'dee'], said: ['ann'] };
+  expect(suggestGroups(deck, weakByCard)).toEqual([
+    { studentIds: ['ann', 'ben'], cardIds: ['the', 'was'] },
+    { studentIds: ['cy', 'dee'], cardIds: ['saw'] },
+  ]);
+});
@@ -0,0 +1,33 @@
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const number = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * Server settings from the environment, so the same build runs on any host:
+ *   PORT                  listen port (8087)
+ *   UPLOADS_PUBLIC_URL    public origin in front of the server, e.g. https://cards.example.org;
+ *                         unset means upload URLs are relative (/uploads/...)
+ *   UPLOAD_DIR            where uploads live (./uploads)
+ *   DATA_FILE             JSON database (./data/db.json)
+ *   CAST_FRAME_TTL_HOURS  cast frames older than this are deleted (24)
+ *   CAST_FRAME_MAX_MB     and the oldest go first once they add up to more than this (200)
+ */
+function loadConfig(env = process.env) {
+  const publicUrl = (env.UPLOADS_PUBLIC_URL || '').replace(/\/+$/, '');
+  return {
+    port: number(env.PORT, 8087),
+    publicUploadsUrl: `${publicUrl}/uploads`,
+    uploadDir: path.resolve(ROOT, env.UPLOAD_DIR || 'uploads'),
+    dataFile: path.resolve(ROOT, env.DATA_FILE || path.join('data', 'db.json')),
+    buildDir: path.join(ROOT, 'build'),
+    castFrameTtlMs: number(env.CAST_FRAME_TTL_HOURS, 24) * 60 * 60 * 1000,
+    castFrameMaxBytes: number(env.CAST_FRAME_MAX_MB, 200) * 1024 * 1024,
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,129 @@
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * Present mode: a browser second screen that follows the teacher's device over SSE.
+ *   POST   /api/present               -> { code, key }   new room (key is needed to publish)
+ *   PUT    /api/present/:code         { key, message }   publish a card/flip/progress/results message
+ *   GET    /api/present/:code/events  text/event-stream  current screen first, then every message
+ *   DELETE /api/present/:code         { key }            end the room
+ * Messages are the same ones the cast receiver takes. Rooms live in memory and expire when idle.
+ */
+
+const MESSAGE_TYPES = ['card', 'flip', 'progress', 'results'];
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread off a projector
+const CODE_LENGTH = 5;
+const ROOM_IDLE_MS = 12 * 60 * 60 * 1000;
+const PING_MS = 25 * 1000;
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function newCode(rooms) {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), (b) => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+// What a viewer joining now should see: the latest card (with its flip state), progress or results
+function nextSnapshot(snapshot, message) {
+  if (message.type === 'flip') {
+    return snapshot && snapshot.type === 'card' ? { ...snapshot, showBack: Boolean(message.showBack) } : snapshot;
+  }
+  return message;
+}
+
+function createPresentRouter() {
+  const router = express.Router();
+  router.use(express.json({ limit: '64kb' }));
+
+  /** @type {Map<string, { key:string, snapshot:object|null, clients:Set<import('express').Response>, touchedAt:number }>} */
+  const rooms = new Map();
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const endRoom = (code) => {
+    const room = rooms.get(code);
+    if (!room) return;
+    for (const res of room.clients) {
+      send(res, 'end', {});
+      res.end();
+    }
+    rooms.delete(code);
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [code, room] of rooms) {
+      if (now - room.touchedAt > ROOM_IDLE_MS) endRoom(code);
+    }
+  }, 60 * 60 * 1000);
+  sweep.unref();
+
+  const ping = setInterval(() => {
+    for (const room of rooms.values()) {
+      for (const res of room.clients) res.write(': ping\n\n');
+    }
+  }, PING_MS);
+  ping.unref();
+
+  // Publisher routes need the room's key
+  const withRoom = (requireKey) => (req, res, next) => {
+    const room = rooms.get(String(req.params.code).toUpperCase());
+    if (!room) return res.status(404).json({ error: 'No such room' });
+    if (requireKey && (!isObject(req.body) || req.body.key !== room.key)) {
+      return res.status(403).json({ error: 'Wrong room key' });
+    }
+    req.room = room;
+    next();
+  };
+
+  router.post('/', (req, res) => {
+    const code = newCode(rooms);
+    const key = crypto.randomBytes(16).toString('hex');
+    rooms.set(code, { key, snapshot: null, clients: new Set(), touchedAt: Date.now() });
+    res.status(201).json({ code, key });
+  });
+
+  router.put('/:code', withRoom(true), (req, res) => {
+    const { message } = req.body;
+    if (!isObject(message) || !MESSAGE_TYPES.includes(message.type)) {
+      return res.status(400).json({ error: `message.type must be one of ${MESSAGE_TYPES.join(', ')}` });
+    }
+    const room = req.room;
+    room.snapshot = nextSnapshot(room.snapshot, message);
+    room.touchedAt = Date.now();
+    for (const client of room.clients) send(client, 'message', message);
+    res.status(204).end();
+  });
+
+  router.get('/:code/events', withRoom(false), (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform', // no-transform: keep proxies from compressing/buffering
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    const room = req.room;
+    room.clients.add(res);
+    if (room.snapshot) send(res, 'message', room.snapshot);
+    req.on('close', () => room.clients.delete(res));
+  });
+
+  router.delete('/:code', withRoom(true), (req, res) => {
+    endRoom(String(req.params.code).toUpperCase());
+    res.status(204).end();
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed JSON body' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Message is too large' });
+    console.error('Present error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = { createPresentRouter };
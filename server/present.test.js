@@ -0,0 +1,82 @@
+const express = require('express');
+const http = require('http');
+const { createPresentRouter } = require('./present');
+const { listen } = require('./testClient');
+
+let client;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/present', createPresentRouter());
+  client = await listen(app);
+});
+
+afterAll(() => client.close());
+
+const card = { type: 'card', card: { id: 'c1', front: 'the' }, idx: 1, total: 3 };
+
+// Open a room's event stream; next() resolves with the next `event: message` payload
+function subscribe(code) {
+  return new Promise((resolve, reject) => {
+    const queue = [];
+    const waiting = [];
+    const req = http.get({ host: '127.0.0.1', port: client.port, path: `/api/present/${code}/events` }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = block.match(/^event: message\ndata: (.*)$/m);
+          if (!data) continue;
+          const message = JSON.parse(data[1]);
+          if (waiting.length) waiting.shift()(message);
+          else queue.push(message);
+        }
+      });
+      resolve({
+        status: res.statusCode,
+        next: () => (queue.length ? Promise.resolve(queue.shift()) : new Promise((r) => waiting.push(r))),
+        close: () => req.destroy(),
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('publishing needs the room key', async () => {
+  const { code } = (await client.request('POST', '/api/present')).body;
+  expect(code).toMatch(/^[A-HJ-NP-Z2-9]{5}$/);
+
+  expect((await client.request('PUT', `/api/present/${code}`, { message: card })).status).toBe(403);
+  expect((await client.request('PUT', `/api/present/${code}`, { key: 'guess', message: card })).status).toBe(403);
+  expect((await client.request('DELETE', `/api/present/${code}`, {})).status).toBe(403);
+  expect((await client.request('PUT', '/api/present/ZZZZZ', { key: 'guess', message: card })).status).toBe(404);
+});
+
+test('a published message reaches subscribers, and late joiners get the current screen', async () => {
+  const { code, key } = (await client.request('POST', '/api/present')).body;
+  const viewer = await subscribe(code);
+  expect(viewer.status).toBe(200);
+
+  expect((await client.request('PUT', `/api/present/${code}`, { key, message: card })).status).toBe(204);
+  expect(await viewer.next()).toEqual(card);
+
+  expect((await client.request('PUT', `/api/present/${code}`, { key, message: { type: 'flip', showBack: true } })).status).toBe(204);
+  expect(await viewer.next()).toEqual({ type: 'flip', showBack: true });
+
+  // Codes are case-insensitive for viewers typing them in
+  const late = await subscribe(code.toLowerCase());
+  expect(await late.next()).toEqual({ ...card, showBack: true });
+
+  viewer.close();
+  late.close();
+});
+
+test('only cast message types can be published', async () => {
+  const { code, key } = (await client.request('POST', '/api/present')).body;
+  expect((await client.request('PUT', `/api/present/${code}`, { key, message: { type: 'script' } })).status).toBe(400);
+  expect((await client.request('PUT', `/api/present/${code}`, { key })).status).toBe(400);
+});
@@ -0,0 +1,89 @@
+const express = require('express');
+
+/**
+ * Deck revision history and trash, kept in the same JSON store as the decks.
+ *   GET    /api/decks/:id/revisions  -> saved versions of a deck, newest first
+ *   GET    /api/trash                -> deleted decks still restorable ({ deck, deletedAt })
+ *   DELETE /api/trash/:id            permanently drop a deck from the trash (and its revisions)
+ * The tracker is hooked into the /api router: every deck write keeps a revision and a DELETE
+ * moves the deck to the trash. Restoring is a plain POST /api/decks of the trashed copy.
+ * onDrop(decks) hears about deck copies that leave the store (a replaced deck, revisions past
+ * the limit, purged trash), so their recorded clips can go once nothing else uses them.
+ */
+
+const HISTORY_COLLECTIONS = ['deckRevisions', 'deckTrash'];
+const REVISION_LIMIT = 50;
+const TRASH_MS = 30 * 24 * 60 * 60 * 1000;
+
+function createRevisionTracker(store, { now = Date.now, onDrop = () => {} } = {}) {
+  function keepRevision(deck) {
+    const revision = { id: `${deck.id}@${deck.rev || 0}`, deckId: deck.id, rev: deck.rev || 0, savedAt: now(), deck };
+    if (store.get('deckRevisions', revision.id)) store.remove('deckRevisions', revision.id);
+    store.insert('deckRevisions', revision);
+    // oldest first in the store; drop anything past the limit for this deck
+    const stale = store.list('deckRevisions').filter((r) => r.deckId === deck.id).slice(0, -REVISION_LIMIT);
+    for (const r of stale) store.remove('deckRevisions', r.id);
+    if (stale.length) onDrop(stale.map((r) => r.deck));
+  }
+
+  function purgeExpired() {
+    for (const entry of store.list('deckTrash')) {
+      if (now() - entry.deletedAt >= TRASH_MS) purge(entry.id);
+    }
+  }
+
+  function purge(deckId) {
+    const dropped = [];
+    const trashed = store.get('deckTrash', deckId);
+    if (trashed) {
+      store.remove('deckTrash', deckId);
+      dropped.push(trashed.deck);
+    }
+    for (const r of store.list('deckRevisions').filter((x) => x.deckId === deckId)) {
+      store.remove('deckRevisions', r.id);
+      dropped.push(r.deck);
+    }
+    if (dropped.length) onDrop(dropped);
+  }
+
+  // Called by the /api router after a record is created, replaced or removed (after = null)
+  function onChange(name, before, after) {
+    if (name !== 'decks') return;
+    if (after) {
+      if (store.get('deckTrash', after.id)) store.remove('deckTrash', after.id); // restored
+      keepRevision(after);
+      if (before) onDrop([before]);
+    } else if (before) {
+      if (store.get('deckTrash', before.id)) store.remove('deckTrash', before.id);
+      store.insert('deckTrash', { id: before.id, deck: before, deletedAt: now() });
+    }
+  }
+
+  return { onChange, purge, purgeExpired };
+}
+
+function createRevisionRouter(store, tracker) {
+  const router = express.Router();
+
+  router.get('/decks/:id/revisions', (req, res) => {
+    const revisions = store.list('deckRevisions').filter((r) => r.deckId === req.params.id);
+    res.json(revisions.slice().sort((a, b) => b.savedAt - a.savedAt));
+  });
+
+  router.get('/trash', (req, res) => {
+    tracker.purgeExpired();
+    res.json(store.list('deckTrash').map(({ deck, deletedAt }) => ({ deck, deletedAt })));
+  });
+
+  router.delete('/trash/:id', (req, res) => {
+    if (!store.get('deckTrash', req.params.id)) {
+      return res.status(404).json({ error: `No deck ${req.params.id} in the trash` });
+    }
+    tracker.purge(req.params.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { HISTORY_COLLECTIONS, createRevisionTracker, createRevisionRouter };
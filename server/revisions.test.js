@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./store');
+const { HISTORY_COLLECTIONS, createRevisionTracker } = require('./revisions');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let dir;
+let store;
+let clock;
+let dropped;
+let tracker;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-revisions-'));
+  store = createStore(path.join(dir, 'db.json'), ['decks', ...HISTORY_COLLECTIONS]);
+  clock = 1_000_000;
+  dropped = [];
+  tracker = createRevisionTracker(store, { now: () => clock, onDrop: (decks) => dropped.push(decks.map((d) => `${d.id}@${d.rev}`)) });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const deck = (rev, id = 'd') => ({ id, name: 'Sight words', rev, cards: [{ id: 'c1', front: 'the' }] });
+
+// What the /api router does on a save: replace the record, then tell the tracker
+function save(next) {
+  const before = store.get('decks', next.id);
+  if (before) store.replace('decks', next.id, next);
+  else store.insert('decks', next);
+  tracker.onChange('decks', before, next);
+}
+
+function remove(id) {
+  const before = store.get('decks', id);
+  store.remove('decks', id);
+  tracker.onChange('decks', before, null);
+}
+
+const revs = (id = 'd') => store.list('deckRevisions').filter((r) => r.deckId === id).map((r) => r.rev);
+
+test('keeps the last 50 revisions of each deck', () => {
+  for (let rev = 1; rev <= 52; rev++) save(deck(rev));
+  save(deck(1, 'other'));
+
+  expect(revs()).toHaveLength(50);
+  expect(revs()[0]).toBe(3);
+  expect(revs().at(-1)).toBe(52);
+  expect(revs('other')).toEqual([1]);
+});
+
+test('onDrop hears about the replaced deck and revisions past the cap', () => {
+  save(deck(1));
+  expect(dropped).toEqual([]);
+
+  save(deck(2));
+  expect(dropped).toEqual([['d@1']]);
+
+  for (let rev = 3; rev <= 51; rev++) save(deck(rev));
+  // saving rev 51 pushed rev 1 out, then rev 50 was replaced
+  expect(dropped.slice(-2)).toEqual([['d@1'], ['d@50']]);
+});
+
+test('deleted decks stay in the trash for 30 days, then go with their revisions', () => {
+  save(deck(1));
+  save(deck(2));
+  remove('d');
+  dropped = [];
+  expect(store.get('deckTrash', 'd')).toMatchObject({ deck: deck(2), deletedAt: clock });
+
+  clock += 30 * DAY - 1;
+  tracker.purgeExpired();
+  expect(store.get('deckTrash', 'd')).toBeTruthy();
+  expect(dropped).toEqual([]);
+
+  clock += 1;
+  tracker.purgeExpired();
+  expect(store.get('deckTrash', 'd')).toBe(null);
+  expect(revs()).toEqual([]);
+  expect(dropped).toEqual([['d@2', 'd@1', 'd@2']]);
+});
+
+test('restoring a deck takes it out of the trash without dropping anything', () => {
+  save(deck(1));
+  remove('d');
+  dropped = [];
+  save(deck(1));
+  expect(store.list('deckTrash')).toEqual([]);
+  expect(dropped).toEqual([]);
+});
@@ -0,0 +1,63 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ValidationError, validateDeck } = require('./validate');
+
+/**
+ * Short share codes for decks too long to put in a link.
+ *   POST /api/shares        { deck }  -> { code }   (the same deck content gets the same code back)
+ *   GET  /api/shares/:code            -> { deck, createdAt }
+ * Shares are snapshots: later edits to the deck don't change what a code opens.
+ */
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I, codes get read aloud and typed
+const CODE_LENGTH = 6;
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function newCode(store) {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH), (b) => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  } while (store.get('shares', code));
+  return code;
+}
+
+// Shared decks carry no card ids; give them throwaway ones so the deck validator applies as-is
+function validateShared(deck) {
+  if (!isObject(deck) || !Array.isArray(deck.cards)) throw new ValidationError('deck with cards is required');
+  validateDeck({ ...deck, id: deck.id || 'shared', cards: deck.cards.map((c, i) => ({ ...c, id: String(i) })) });
+  return deck;
+}
+
+function createShareRouter(store) {
+  const router = express.Router();
+  router.use(express.json({ limit: '2mb' }));
+
+  router.post('/', (req, res) => {
+    const deck = validateShared(isObject(req.body) ? req.body.deck : undefined);
+    const hash = crypto.createHash('sha256').update(JSON.stringify(deck)).digest('hex');
+    const existing = store.list('shares').find((s) => s.hash === hash);
+    if (existing) return res.json({ code: existing.id });
+    const code = newCode(store);
+    store.insert('shares', { id: code, hash, deck, createdAt: Date.now() });
+    res.status(201).json({ code });
+  });
+
+  router.get('/:code', (req, res) => {
+    const share = store.get('shares', req.params.code.toUpperCase());
+    if (!share) return res.status(404).json({ error: `No shared deck ${req.params.code}` });
+    res.json({ deck: share.deck, createdAt: share.createdAt });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof ValidationError) return res.status(400).json({ error: err.message });
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Malformed JSON body' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Deck is too large to share' });
+    console.error('Share error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = { createShareRouter };
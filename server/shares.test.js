@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./store');
+const { createShareRouter } = require('./shares');
+const { listen } = require('./testClient');
+
+let dir;
+let client;
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-shares-'));
+  const store = createStore(path.join(dir, 'db.json'), ['shares']);
+  const app = express();
+  app.use('/api/shares', createShareRouter(store));
+  client = await listen(app);
+});
+
+afterAll(async () => {
+  await client.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const deck = (name) => ({ name, cards: [{ front: 'the' }, { front: 'was', back: 'saw?' }] });
+
+test('codes are 6 characters without look-alikes, and open the shared deck', async () => {
+  const created = await client.request('POST', '/api/shares', { deck: deck('Week 1') });
+  expect(created.status).toBe(201);
+  expect(created.body.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+
+  const opened = await client.request('GET', `/api/shares/${created.body.code.toLowerCase()}`);
+  expect(opened.status).toBe(200);
+  expect(opened.body.deck).toEqual(deck('Week 1'));
+});
+
+test('the same deck gets its existing code back', async () => {
+  const first = await client.request('POST', '/api/shares', { deck: deck('Week 2') });
+  const again = await client.request('POST', '/api/shares', { deck: deck('Week 2') });
+  expect(again.status).toBe(200);
+  expect(again.body.code).toBe(first.body.code);
+});
+
+test('a code that is taken is drawn again', async () => {
+  const taken = (await client.request('POST', '/api/shares', { deck: deck('Week 3') })).body.code;
+  // Bytes that map back onto the taken code, then a different draw
+  const sameBytes = Buffer.from(Array.from(taken, (ch) => 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'.indexOf(ch)));
+  const spy = jest.spyOn(crypto, 'randomBytes').mockReturnValueOnce(sameBytes).mockReturnValueOnce(Buffer.alloc(6));
+
+  const created = await client.request('POST', '/api/shares', { deck: deck('Week 4') });
+  expect(spy).toHaveBeenCalledTimes(2);
+  expect(created.body.code).toBe('AAAAAA');
+});
+
+test('unknown codes are 404s and decks without cards are refused', async () => {
+  expect((await client.request('GET', '/api/shares/ZZZZZZ')).status).toBe(404);
+  expect((await client.request('POST', '/api/shares', { deck: { name: 'Empty' } })).status).toBe(400);
+  expect((await client.request('POST', '/api/shares', { deck: { name: 'No fronts', cards: [{ back: 'x' }] } })).status).toBe(400);
+});
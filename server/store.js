@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tiny JSON-file database in json-server's db.json layout ({ decks: [], profiles: [], ... }).
+ * Writes go to a temp file that is then renamed over the real one, so a crash or full
+ * disk mid-write never leaves a truncated database behind.
+ */
+function createStore(file, collections) {
+  let data = load();
+
+  function load() {
+    let parsed = {};
+    if (fs.existsSync(file)) {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    for (const name of collections) {
+      if (!Array.isArray(parsed[name])) parsed[name] = [];
+    }
+    return parsed;
+  }
+
+  function commit(next) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2));
+    fs.renameSync(tmp, file);
+    data = next;
+  }
+
+  const update = (name, fn) => commit({ ...data, [name]: fn(data[name]) });
+
+  return {
+    list: (name) => data[name],
+    get: (name, id) => data[name].find((r) => r.id === id) || null,
+    insert: (name, record) => update(name, (rows) => [...rows, record]),
+    replace: (name, id, record) => update(name, (rows) => rows.map((r) => (r.id === id ? record : r))),
+    remove: (name, id) => update(name, (rows) => rows.filter((r) => r.id !== id)),
+  };
+}
+
+module.exports = { createStore };
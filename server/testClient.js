@@ -0,0 +1,42 @@
+const http = require('http');
+
+/**
+ * Test helper: serve an Express app on a free port and send it JSON requests.
+ * (Jest's node environment has no fetch.)
+ *   const client = await listen(app); await client.request('POST', '/api/decks', deck); await client.close();
+ */
+async function listen(app) {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const { port } = server.address();
+
+  // body: an object is sent as JSON, a string as-is; resolves { status, headers, body } (body parsed when JSON)
+  function request(method, url, body) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body);
+      // agent: false gives each request its own connection; a reused keep-alive socket can hang up after an early 4xx
+      const req = http.request({ host: '127.0.0.1', port, method, path: url, agent: false, headers: payload ? { 'Content-Type': 'application/json' } : {} }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+          let parsed = text;
+          try { parsed = text ? JSON.parse(text) : null; } catch {}
+          resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+        });
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { port, request, close };
+}
+
+module.exports = { listen };
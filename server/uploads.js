@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Upload storage helpers
+ * - Files are named by content hash, so the same picture or clip is stored once
+ * - Image types come from the file's magic bytes, not the client's filename or MIME type
+ * - Cast frames are disposable: cleanupCastFrames drops old ones and caps their total size
+ * - Recorded clips are shared by content, so one may only go once no stored deck uses it (audioFilesIn)
+ */
+
+// [extension, test on the first bytes]
+const IMAGE_SIGNATURES = [
+  ['jpg', (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff],
+  ['png', (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))],
+  ['gif', (b) => b.subarray(0, 4).toString('ascii') === 'GIF8'],
+  ['webp', (b) => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP'],
+];
+
+/** Extension for a JPEG/PNG/GIF/WebP buffer, or null if it's none of those. */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const match = IMAGE_SIGNATURES.find(([, test]) => test(buffer));
+  return match ? match[0] : null;
+}
+
+/** e.g. card_3f2a…c1.png — 16 hex chars of SHA-256 is plenty for one classroom's uploads. */
+function hashedName(prefix, buffer, ext) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  return `${prefix}_${hash}.${ext}`;
+}
+
+/**
+ * Write unless a file with that (content-hashed) name is already there; true if written.
+ * An existing file gets its mtime bumped so cleanup sees it as freshly used.
+ */
+function writeOnce(filepath, buffer) {
+  if (fs.existsSync(filepath)) {
+    const now = new Date();
+    fs.utimesSync(filepath, now, now);
+    return false;
+  }
+  fs.writeFileSync(filepath, buffer);
+  return true;
+}
+
+/** Filenames of the recorded clips (audio_…) used by any card of the given decks; URLs may be relative or absolute. */
+function audioFilesIn(decks) {
+  const files = new Set();
+  for (const deck of decks) {
+    for (const card of (deck && deck.cards) || []) {
+      if (typeof card.audioUrl === 'string') files.add(card.audioUrl.split(/[?#]/)[0].split('/').pop());
+    }
+  }
+  return files;
+}
+
+/**
+ * Delete cast frames (cast_*) older than ttlMs, then the oldest remaining ones until
+ * they fit in maxBytes. Returns the deleted filenames.
+ */
+function cleanupCastFrames(dir, { ttlMs, maxBytes, now = Date.now() }) {
+  const frames = fs.readdirSync(dir)
+    .filter((name) => name.startsWith('cast_'))
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, size: stat.size, mtime: stat.mtimeMs };
+    })
+    .sort((a, b) => a.mtime - b.mtime);
+
+  let total = frames.reduce((sum, f) => sum + f.size, 0);
+  const deleted = [];
+  for (const frame of frames) {
+    if (now - frame.mtime <= ttlMs && total <= maxBytes) break;
+    fs.unlinkSync(path.join(dir, frame.name));
+    total -= frame.size;
+    deleted.push(frame.name);
+  }
+  return deleted;
+}
+
+module.exports = { sniffImageType, hashedName, writeOnce, audioFilesIn, cleanupCastFrames };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffImageType, hashedName, writeOnce, audioFilesIn, cleanupCastFrames } = require('./uploads');
+
+// Enough bytes past each signature to clear the 12-byte minimum
+const withHeader = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+const PNG = withHeader([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG = withHeader([0xff, 0xd8, 0xff, 0xe0]);
+const GIF = withHeader(Buffer.from('GIF89a'));
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 '), Buffer.alloc(8)]);
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-uploads-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('sniffs PNG, JPEG, GIF and WebP from their magic bytes', () => {
+  expect(sniffImageType(PNG)).toBe('png');
+  expect(sniffImageType(JPEG)).toBe('jpg');
+  expect(sniffImageType(GIF)).toBe('gif');
+  expect(sniffImageType(WEBP)).toBe('webp');
+});
+
+test('ignores what the file claims to be', () => {
+  // A script renamed to picture.png, and a RIFF file that isn't WebP (e.g. a WAV)
+  expect(sniffImageType(Buffer.from('<script>alert(1)</script> picture.png'))).toBe(null);
+  expect(sniffImageType(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(8)]))).toBe(null);
+});
+
+test('buffers under 12 bytes are not images', () => {
+  expect(sniffImageType(PNG.subarray(0, 11))).toBe(null);
+  expect(sniffImageType(Buffer.alloc(0))).toBe(null);
+  expect(sniffImageType(undefined)).toBe(null);
+});
+
+test('names files by content', () => {
+  const name = hashedName('card', PNG, 'png');
+  expect(name).toMatch(/^card_[0-9a-f]{16}\.png$/);
+  expect(hashedName('card', Buffer.from(PNG), 'png')).toBe(name);
+  expect(hashedName('card', JPEG, 'png')).not.toBe(name);
+});
+
+test('writes a hashed file once and bumps its mtime on a repeat upload', () => {
+  const filepath = path.join(dir, hashedName('card', PNG, 'png'));
+  expect(writeOnce(filepath, PNG)).toBe(true);
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(filepath, old, old);
+  expect(writeOnce(filepath, PNG)).toBe(false);
+  expect(fs.statSync(filepath).mtimeMs).toBeGreaterThan(old.getTime());
+});
+
+test('finds the clips decks use, from relative or absolute URLs', () => {
+  const decks = [
+    { cards: [{ audioUrl: '/uploads/audio/audio_a.webm' }, { front: 'no clip' }] },
+    { cards: [{ audioUrl: 'https://cards.example.org/uploads/audio/audio_b.ogg?v=2' }] },
+    null,
+  ];
+  expect([...audioFilesIn(decks)]).toEqual(['audio_a.webm', 'audio_b.ogg']);
+});
+
+describe('cleanupCastFrames', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.now();
+  const frame = (name, bytes, ageMs) => {
+    const filepath = path.join(dir, name);
+    fs.writeFileSync(filepath, Buffer.alloc(bytes));
+    const at = new Date(now - ageMs);
+    fs.utimesSync(filepath, at, at);
+  };
+
+  test('drops frames older than the TTL and leaves other uploads alone', () => {
+    frame('cast_old.jpg', 10, 25 * HOUR);
+    frame('cast_new.jpg', 10, HOUR);
+    frame('card_old.png', 10, 48 * HOUR);
+    expect(cleanupCastFrames(dir, { ttlMs: 24 * HOUR, maxBytes: 1024, now })).toEqual(['cast_old.jpg']);
+    expect(fs.readdirSync(dir).sort()).toEqual(['card_old.png', 'cast_new.jpg']);
+  });
+
+  test('drops the oldest frames until the rest fit the size cap', () => {
+    const MB = 1024 * 1024;
+    frame('cast_1.jpg', MB, 3 * HOUR);
+    frame('cast_2.jpg', MB, 2 * HOUR);
+    frame('cast_3.jpg', MB, HOUR);
+    expect(cleanupCastFrames(dir, { ttlMs: 24 * HOUR, maxBytes: 2 * MB, now })).toEqual(['cast_1.jpg']);
+    expect(cleanupCastFrames(dir, { ttlMs: 24 * HOUR, maxBytes: 0.5 * MB, now })).toEqual(['cast_2.jpg', 'cast_3.jpg']);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Request body validation for the /api collections.
+ * Each validator returns the record to store or throws a ValidationError (-> 400).
+ */
+
+class ValidationError extends Error {}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${field} is required`);
+  }
+}
+
+function optionalString(value, field) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw new ValidationError(`${field} must be a string`);
+  }
+}
+
+function optionalNumber(value, field) {
+  if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+}
+
+function validateCard(card, i) {
+  const at = `cards[${i}]`;
+  if (!isObject(card)) throw new ValidationError(`${at} must be an object`);
+  requireString(card.id, `${at}.id`);
+  requireString(card.front, `${at}.front`);
+  for (const field of ['back', 'hint', 'say', 'audioUrl', 'frontImage', 'backImage']) {
+    optionalString(card[field], `${at}.${field}`);
+  }
+}
+
+function validateDeck(deck) {
+  if (!isObject(deck)) throw new ValidationError('Deck must be a JSON object');
+  requireString(deck.id, 'id');
+  requireString(deck.name, 'name');
+  if (!Array.isArray(deck.cards)) throw new ValidationError('cards must be an array');
+  deck.cards.forEach(validateCard);
+
+  const seen = new Set();
+  for (const card of deck.cards) {
+    if (seen.has(card.id)) throw new ValidationError(`Duplicate card id: ${card.id}`);
+    seen.add(card.id);
+  }
+
+  optionalNumber(deck.rev, 'rev');
+  optionalNumber(deck.updatedAt, 'updatedAt');
+  for (const field of ['category', 'color', 'grade', 'theme']) {
+    optionalString(deck[field], field);
+  }
+  if (deck.tags !== undefined && !(Array.isArray(deck.tags) && deck.tags.every((t) => typeof t === 'string'))) {
+    throw new ValidationError('tags must be an array of strings');
+  }
+  return deck;
+}
+
+function validateProfile(profile) {
+  if (!isObject(profile)) throw new ValidationError('Profile must be a JSON object');
+  requireString(profile.id, 'id');
+  requireString(profile.name, 'name');
+  optionalString(profile.color, 'color');
+  if (profile.progress !== undefined && !isObject(profile.progress)) {
+    throw new ValidationError('progress must be an object');
+  }
+  return profile;
+}
+
+function validateSession(session) {
+  if (!isObject(session)) throw new ValidationError('Session must be a JSON object');
+  requireString(session.id, 'id');
+  requireString(session.deckId, 'deckId');
+  if (!Array.isArray(session.results)) throw new ValidationError('results must be an array');
+  session.results.forEach((r, i) => {
+    if (!isObject(r)) throw new ValidationError(`results[${i}] must be an object`);
+    requireString(r.cardId, `results[${i}].cardId`);
+    if (typeof r.correct !== 'boolean') throw new ValidationError(`results[${i}].correct must be true or false`);
+  });
+  return session;
+}
+
+function validateCurriculum(curriculum) {
+  if (!isObject(curriculum)) throw new ValidationError('Curriculum must be a JSON object');
+  requireString(curriculum.id, 'id');
+  requireString(curriculum.name, 'name');
+  if (!Array.isArray(curriculum.steps)) throw new ValidationError('steps must be an array');
+  curriculum.steps.forEach((step, i) => {
+    if (!isObject(step)) throw new ValidationError(`steps[${i}] must be an object`);
+    requireString(step.deckId, `steps[${i}].deckId`);
+    if (step.goal !== undefined) {
+      if (!isObject(step.goal)) throw new ValidationError(`steps[${i}].goal must be an object`);
+      optionalNumber(step.goal.percent, `steps[${i}].goal.percent`);
+      optionalNumber(step.goal.streak, `steps[${i}].goal.streak`);
+    }
+  });
+  optionalNumber(curriculum.rev, 'rev');
+  optionalNumber(curriculum.updatedAt, 'updatedAt');
+  return curriculum;
+}
+
+module.exports = { ValidationError, validateDeck, validateProfile, validateSession, validateCurriculum };
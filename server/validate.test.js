@@ -0,0 +1,38 @@
+const { ValidationError, validateDeck, validateSession } = require('./validate');
+
+const deck = (extra = {}) => ({ id: 'd', name: 'Sight words', cards: [{ id: 'c1', front: 'the' }, { id: 'c2', front: 'was' }], ...extra });
+
+test('accepts a valid deck and returns it', () => {
+  const d = deck({ rev: 3, updatedAt: 1 });
+  expect(validateDeck(d)).toBe(d);
+});
+
+test('requires id, name and card fronts', () => {
+  expect(() => validateDeck(deck({ id: '' }))).toThrow('id is required');
+  expect(() => validateDeck(deck({ name: '  ' }))).toThrow('name is required');
+  expect(() => validateDeck(deck({ cards: [{ id: 'c1' }] }))).toThrow('cards[0].front is required');
+  expect(() => validateDeck(deck({ cards: [{ front: 'the' }] }))).toThrow('cards[0].id is required');
+  expect(() => validateDeck(deck({ cards: 'the, was' }))).toThrow('cards must be an array');
+  expect(() => validateDeck([])).toThrow(ValidationError);
+});
+
+test('rejects duplicate card ids, non-string card fields and a bad rev', () => {
+  expect(() => validateDeck(deck({ cards: [{ id: 'c1', front: 'the' }, { id: 'c1', front: 'was' }] }))).toThrow('Duplicate card id: c1');
+  expect(() => validateDeck(deck({ cards: [{ id: 'c1', front: 'the', back: 3 }] }))).toThrow('cards[0].back must be a string');
+  expect(() => validateDeck(deck({ rev: '2' }))).toThrow('rev must be a number');
+  expect(() => validateDeck(deck({ rev: NaN }))).toThrow('rev must be a number');
+});
+
+test('library fields are optional strings, and tags a list of strings', () => {
+  expect(validateDeck(deck({ category: 'Sight words', grade: 'K', tags: ['set 1', 'review'] }))).toBeTruthy();
+  expect(() => validateDeck(deck({ tags: ['set 1', 2] }))).toThrow('tags must be an array of strings');
+  expect(() => validateDeck(deck({ tags: 'set 1' }))).toThrow('tags must be an array of strings');
+  expect(() => validateDeck(deck({ grade: 1 }))).toThrow('grade must be a string');
+});
+
+test('sessions need a deck and true/false results', () => {
+  const session = { id: 's', deckId: 'd', results: [{ cardId: 'c1', correct: true }] };
+  expect(validateSession(session)).toBe(session);
+  expect(() => validateSession({ ...session, deckId: undefined })).toThrow('deckId is required');
+  expect(() => validateSession({ ...session, results: [{ cardId: 'c1', correct: 'yes' }] })).toThrow('results[0].correct must be true or false');
+});
@@ -1,45 +1,194 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Shuffle, Plus, Trash2, Home, ChevronLeft, CheckCircle2, RotateCcw, ChevronDown, ChevronUp } from "lucide-react";
+import { Shuffle, Plus, Trash2, Home, ChevronLeft, CheckCircle2, RotateCcw, ChevronDown, ChevronUp, Users, History, Volume2, Mic, Square, Play, Image as ImageIcon, Ear, Timer, MonitorPlay, Copy, Lock, ClipboardPaste, GripVertical, CheckSquare, ListOrdered, Undo2, Redo2, GitCompare, ArchiveRestore, Share2, GraduationCap, Map as MapIcon, ArrowUp, ArrowDown, CloudOff, AlertTriangle, Upload, Download, Printer } from "lucide-react";
+import { buildDueQueue, reviewCard, pruneSchedule } from "./scheduler";
+import { enqueue, pendingIds, mergeRecords } from "./sync";
+import PrintSheets from "./PrintSheets";
+import { cardMessage, resultsMessage, sendCastMessage } from "./cast";
+import { THEMES, themeFor, renderCard, renderResults, canvasPng, resultMessage, scorePercentage } from "./cardRenderer";
+import { TRASH_DAYS, LOCAL_REVISION_LIMIT, addRevision, mergeRevisions, pruneTrash, trashDaysLeft, trashDeck, diffCards, emptyHistory, recordEdit, undoEdit, redoEdit } from "./revisions";
+import { sharedDeck, encodeDeck, decodeDeck, deckLink, codeLink, parseShareHash } from "./share";
+import { encodeQr, qrPath } from "./qrcode";
+import { SORTS, sortCards, moveCard, copyCards, duplicateCards } from "./cardOrder";
+import { AUTO_BACKS, parseBulkText, autoFillBacks, previewBulk } from "./bulkEntry";
+import { DEFAULT_GOAL, curriculumProgress, currentStepIndex, lockedBy } from "./curriculum";
+import { GRADES, parseTags, allTags, allCategories, filterDecks, groupByCategory } from "./deckLibrary";
+import { pickDistractors } from "./distractors";
+import { DEFAULT_TIMER, fluencyScore, fluencyUnit, slowestCards } from "./fluency";
+import { parseDeckFile, findDuplicates, cardKey, exportDelimited, exportJson } from "./deckFiles";
+import { speak, speechSettings, speechSupported, listVoices, cardSpeechText, readCard, playClip } from "./speech";
 
 /**
  * Kindergarten Flashcards – Streamlined
  * - Create/edit decks (front, optional back, optional hint)
+ * - Teacher view: class roster, students × cards heatmap per deck, class trouble cards and suggested small groups (server-side)
+ * - Share a deck as a link (compressed into the URL) or a short server code, with a QR code; opening it offers an import
+ * - Deck revisions on every save (server keeps 50, the device its last 5) with card-level diffs, editor undo/redo, 30-day trash for deleted decks
+ * - Warns when localStorage is full instead of silently dropping writes
+ * - Card order: drag to reorder (touch too), sort, multi-select to delete/move/copy/duplicate; "In order" practice follows it
+ * - Bulk card entry: paste a word list ("front | back | hint" per line), preview with duplicate flags, auto-fill backs
+ * - Learning paths (curricula): ordered decks with mastery goals; the next deck unlocks when one is mastered
+ * - Deck category, tags, color and grade; home screen grouped by category with tag filter and search
  * - Editor QoL: focus new card, auto-append blank on first type
- * - Practice mode (endless loop): Wrong / Got it
+ * - Learner profiles: pick a child first; schedule, practice stats and last test are kept per profile
+ * - Practice mode: "due today" queue from the spaced-repetition scheduler, or endless loop over all cards
  * - Test mode (one pass): random order once, no hint toggle, results screen
- * - Server sync via json-server at http://<host>:8086
- * - No backup/restore UI, no casting
+ * - Multiple-choice test: hear/see a prompt, pick the card from 3–4 look-alike options (auto-scored)
+ * - Timed tests (60s total or a per-card limit): per-card response times, fluency per minute, slowest cards
+ * - Listening mode: a card is read aloud, the child taps it in a grid of 4–9 (first-try taps and retries kept per profile)
+ * - Results screen lists missed cards: practice/test just those, or save them as a new deck
+ * - Read-aloud (SpeechSynthesis): per-deck voice/rate/language, per-card "say" override
+ * - Picture cards: front/back images (uploaded via /upload-image, editor shows server thumbnails)
+ * - Recorded audio per card (MediaRecorder -> /upload-audio), played instead of TTS for the front
+ * - Test history: every finished test is saved as a session record (POST /sessions)
+ * - Server sync via server.js (/api), through a persisted outbox that retries
+ *   failed writes and detects conflicting deck edits (rev/updatedAt)
+ * - Cast to a TV: the custom receiver (public/receiver.html) is driven by card/flip/progress/results messages
+ * - Present mode: the same messages go to a server room; any browser on present.html?room=CODE follows over SSE
+ * - Card themes (cardRenderer.js): download a card or the test results as a PNG; the TV uses the same colours
+ * - Printable card sheets (Letter/A4, 2–12 per page, mirrored backs for duplex)
+ * - Import decks from CSV/TSV/JSON (preview + duplicate report), export one or all decks
  */
 
 // ---------- Types ----------
-/** @typedef {{ id:string, front:string, back?:string, hint?:string }} Card */
-/** @typedef {{ id:string, name:string, cards:Card[] }} Deck */
+/** @typedef {{ id:string, front:string, back?:string, hint?:string, say?:string, audioUrl?:string, frontImage?:string, backImage?:string }} Card */
+/** @typedef {{ id:string, name:string, cards:Card[], rev?:number, updatedAt?:number, speech?:import("./speech").SpeechSettings, theme?:string, category?:string, tags?:string[], color?:string, grade?:string }} Deck */
+/** @typedef {{ deck:Deck, server:Deck }} DeckConflict */
+/** @typedef {{ schedule?:import("./scheduler").DeckSchedule, stats?:{ seen:number, correct:number }, lastTest?:{ correct:number, total:number, at:number }, listen?:{ rounds:number, firstTry:number, retries:number } }} DeckProgress */
+/** @typedef {{ id:string, name:string, color:string, progress?:Object<string, DeckProgress> }} Profile */
+/** @typedef {{ cardId:string, front:string, correct:boolean, ms?:number, timedOut?:boolean }} CardResult */
+/** @typedef {{ id:string, deckId:string, deckName:string, profileId:string|null, kind?:"self"|"choice", timer?:import("./fluency").TestTimer, startedAt:number, finishedAt:number, durationMs:number, cardIds:string[], results:CardResult[], correct:number, total:number }} TestSession */
 
 // ---------- Helpers ----------
 const uid = () => Math.random().toString(36).slice(2, 10);
 const LS_KEY = "kinder_flashcards_v3";
+const PROFILES_KEY = "kinder_flashcards_profiles_v1";
+const ACTIVE_PROFILE_KEY = "kinder_flashcards_active_profile";
+const SESSIONS_KEY = "kinder_flashcards_sessions_v1";
+const OUTBOX_KEY = "kinder_flashcards_outbox_v1";
+const CONFLICTS_KEY = "kinder_flashcards_conflicts_v1";
+const TIMER_KEY = "kinder_flashcards_test_timer_v1";
+const CURRICULA_KEY = "kinder_flashcards_curricula_v1";
+const REVISIONS_KEY = "kinder_flashcards_revisions_v1";
+const TRASH_KEY = "kinder_flashcards_trash_v1";
+const SYNC_RETRY_MS = 30000;
+// Deck-level settings that travel with a deck through import/export
+const DECK_META = ["speech", "theme", "category", "tags", "color", "grade"];
+const AVATAR_COLORS = ["#f59e0b", "#10b981", "#3b82f6", "#ec4899", "#8b5cf6", "#ef4444"];
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-// Use /api path when behind HTTPS proxy, otherwise use direct port
-const API_BASE = window.location.protocol === 'https:' 
-  ? `${window.location.protocol}//${window.location.hostname}/api/`
-  : `${window.location.protocol}//${window.location.hostname}:8086`;
+// Data API served by server.js (same origin; `npm start` proxies it in development)
+const API_BASE = "/api";
+
+// Throws on failure; HTTP errors carry e.status (network errors don't)
+async function apiRequest(method, path, body) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) {
+    const err = new Error(`${res.status} ${res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.status !== 204 ? res.json() : null;
+}
 
 async function api(method, path, body) {
   try {
-    const res = await fetch(`${API_BASE}${path}`, {
-      method,
-      headers: { "Content-Type": "application/json" },
-      body: body ? JSON.stringify(body) : undefined,
-    });
-    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
-    return res.status !== 204 ? res.json() : null;
+    return await apiRequest(method, path, body);
   } catch (e) {
     console.warn("API error:", method, path, e.message);
     return null;
   }
 }
 
+async function uploadCardImage(file) {
+  const formData = new FormData();
+  formData.append('image', file, file.name);
+  const res = await fetch('/upload-image?thumbnail=1', { method: 'POST', body: formData });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${res.status} ${res.statusText}`);
+  return data.url;
+}
+
+// server.js keeps a small copy of every picture-card image under uploads/thumbs
+const thumbUrl = (url) => url.replace('/uploads/', '/uploads/thumbs/');
+
+async function uploadAudio(blob) {
+  const formData = new FormData();
+  formData.append('audio', blob, 'clip');
+  const res = await fetch('/upload-audio', { method: 'POST', body: formData });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `${res.status} ${res.statusText}`);
+  return data.url;
+}
+
+// Delete clips recorded during an edit that didn't make it into the saved deck. Clips of saved
+// decks are the server's job: it deletes them once no deck, revision, trash entry or share uses them,
+// and refuses this request for any clip that is still in use.
+function releaseAudio(urls) {
+  urls.filter(Boolean).forEach((url) => {
+    fetch(`/uploads/audio/${url.split('/').pop()}`, { method: 'DELETE' })
+      .catch((e) => console.warn('Audio delete failed:', e.message));
+  });
+}
+
+// Results screen message colour per score band (cardRenderer.resultMessage)
+const RESULT_COLORS = {
+  perfect: "text-emerald-600",
+  great: "text-emerald-500",
+  good: "text-amber-500",
+  practice: "text-amber-600",
+  try: "text-orange-500",
+  together: "text-rose-400",
+};
+
+// Teacher heatmap colours: no data, then under 50% / 70% / 90% / 90%+ (70% is the server's "missing it" line)
+const heatClass = (accuracy) =>
+  accuracy == null ? "bg-slate-100" : accuracy < 0.5 ? "bg-rose-400" : accuracy < 0.7 ? "bg-amber-300" : accuracy < 0.9 ? "bg-emerald-300" : "bg-emerald-500";
+
+// Indices into deck.cards, optionally limited to a set of card ids (a temporary sub-deck)
+const focusIndices = (deck, cardIds) =>
+  deck.cards.map((_, i) => i).filter((i) => !cardIds || cardIds.includes(deck.cards[i].id));
+
+// How many different fronts a deck has (multiple-choice style modes need enough to pick from)
+const distinctFronts = (deck) => new Set(deck.cards.map((c) => cardKey(c.front))).size;
+
+// Whether a card's back spells out its front: the same word, or a pronunciation like "say: the"
+const namesFront = (card) => {
+  const words = (text) => ` ${cardKey(text).replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+  const front = words(card.front);
+  return front.trim() ? words(card.back).includes(front) : cardKey(card.back) === cardKey(card.front);
+};
+
+// text or a Blob (e.g. a rendered PNG)
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const fileSlug = (name) => (name || "deck").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "deck";
+
+// Only the card fields the app knows about, with a fresh id
+const importedCard = (c) => ({
+  id: uid(),
+  front: String(c.front).trim(),
+  ...Object.fromEntries(["back", "hint", "say", "audioUrl", "frontImage", "backImage"]
+    .filter((k) => typeof c[k] === "string" && c[k].trim())
+    .map((k) => [k, c[k].trim()])),
+});
+
+function formatDuration(ms) {
+  const secs = Math.round(ms / 1000);
+  const m = Math.floor(secs / 60);
+  return m ? `${m}m ${String(secs % 60).padStart(2, "0")}s` : `${secs}s`;
+}
+
 function shuffleArray(arr) {
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
@@ -49,6 +198,16 @@ function shuffleArray(arr) {
   return a;
 }
 
+// Keys whose last localStorage write failed (nearly always the quota); App warns while any are failing
+const storageFailures = new Set();
+const storageListeners = new Set();
+function reportStorage(key, failed) {
+  if (failed === storageFailures.has(key)) return;
+  if (failed) storageFailures.add(key);
+  else storageFailures.delete(key);
+  storageListeners.forEach((fn) => fn(new Set(storageFailures)));
+}
+
 function useLocalStorageState(key, initial) {
   const [state, setState] = useState(() => {
     try {
@@ -59,7 +218,13 @@ function useLocalStorageState(key, initial) {
     }
   });
   useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(state)); } catch {}
+    try {
+      localStorage.setItem(key, JSON.stringify(state));
+      reportStorage(key, false);
+    } catch (e) {
+      console.warn(`Could not save ${key}:`, e.message);
+      reportStorage(key, true);
+    }
   }, [key, state]);
   return [state, setState];
 }
@@ -69,6 +234,8 @@ const STARTER_DECKS /** @type {Deck[]} */ = [
   {
     id: "alphabet",
     name: "Alphabet",
+    category: "Alphabet",
+    grade: "PreK",
     cards: "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").map((ch) => ({
       id: uid(),
       front: ch,
@@ -79,11 +246,15 @@ const STARTER_DECKS /** @type {Deck[]} */ = [
   {
     id: "sight",
     name: "Sight Words",
+    category: "Sight Words",
+    grade: "K",
     cards: ["a","I","am","and","at","can","go","in","it","is","like","me","my","no","see","the","to","we","yes","you"].map((w) => ({ id: uid(), front: w, back: `say: ${w}` })),
   },
   {
     id: "cvc",
     name: "CVC Words",
+    category: "CVC Words",
+    grade: "K",
     cards: ["cat","dog","sun","map","pin","bed","cup","fox","hat","log","red","sit"].map((w)=>({ id: uid(), front: w, back: w })),
   },
 ];
@@ -91,11 +262,45 @@ const STARTER_DECKS /** @type {Deck[]} */ = [
 // ---------- Main App ----------
 export default function App() {
   const [decks, setDecks] = useLocalStorageState(LS_KEY, STARTER_DECKS);
+  const [profiles, setProfiles] = useLocalStorageState(PROFILES_KEY, /** @type {Profile[]} */([]));
+  const [sessions, setSessions] = useLocalStorageState(SESSIONS_KEY, /** @type {TestSession[]} */([]));
+  const [outbox, setOutbox] = useLocalStorageState(OUTBOX_KEY, /** @type {import("./sync").OutboxOp[]} */([]));
+  const [conflicts, setConflicts] = useLocalStorageState(CONFLICTS_KEY, /** @type {DeckConflict[]} */([]));
+  const [activeProfileId, setActiveProfileId] = useLocalStorageState(ACTIVE_PROFILE_KEY, null);
+  const [testTimer, setTestTimer] = useLocalStorageState(TIMER_KEY, DEFAULT_TIMER);
+  const [curricula, setCurricula] = useLocalStorageState(CURRICULA_KEY, /** @type {import("./curriculum").Curriculum[]} */([]));
+  const [revisions, setRevisions] = useLocalStorageState(REVISIONS_KEY, /** @type {Object<string, import("./revisions").Revision[]>} */({}));
+  const [trash, setTrash] = useLocalStorageState(TRASH_KEY, /** @type {import("./revisions").TrashEntry[]} */([]));
+
+  // Older versions of the app kept more local revisions; trim them to the current limit
+  useEffect(() => {
+    setRevisions((r) => Object.fromEntries(Object.entries(r).map(([id, list]) => [id, list.slice(0, LOCAL_REVISION_LIMIT)])));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const [unsavedKeys, setUnsavedKeys] = useState(() => new Set(storageFailures));
+  useEffect(() => {
+    storageListeners.add(setUnsavedKeys);
+    setUnsavedKeys(new Set(storageFailures)); // writes made before this subscribed
+    return () => storageListeners.delete(setUnsavedKeys);
+  }, []);
 
-  // screens: home | mode | practice | test | results | editor
-  const [screen, setScreen] = useState(/** @type{"home"|"mode"|"practice"|"test"|"results"|"editor"} */("home"));
+  // screens: profiles | home | mode | practice | test | listen | results | history | import | print | editor | curriculum | revisions | trash | teacher
+  const [screen, setScreen] = useState(/** @type{"profiles"|"home"|"mode"|"practice"|"test"|"listen"|"results"|"history"|"import"|"print"|"editor"|"curriculum"|"revisions"|"trash"|"teacher"} */("profiles"));
   const [activeDeckId, setActiveDeckId] = useState(null);
 
+  // learning path editor state
+  const [draftCurriculum, setDraftCurriculum] = useState(/** @type {import("./curriculum").Curriculum|null} */(null));
+  const [isNewCurriculum, setIsNewCurriculum] = useState(false);
+
+  // home screen deck browser
+  const [deckQuery, setDeckQuery] = useState("");
+  const [deckTag, setDeckTag] = useState("");
+
+  // profile picker state
+  const [newProfileName, setNewProfileName] = useState("");
+  const [newProfileColor, setNewProfileColor] = useState(AVATAR_COLORS[0]);
+
   // practice state
   const [queue, setQueue] = useState([]); // indices into deck.cards
   const [currentIdx, setCurrentIdx] = useState(0);
@@ -104,31 +309,196 @@ export default function App() {
   const [uppercase, setUppercase] = useState(false);
   const [showHints, setShowHints] = useState(false);
   const [stats, setStats] = useState({ seen: 0, correct: 0 });
+  const [practiceScope, setPracticeScope] = useState(/** @type {"due"|"all"|"order"} */("due"));
+  const [focusCardIds, setFocusCardIds] = useState(/** @type {string[]|null} */(null)); // temporary sub-deck, e.g. missed cards
 
   // test state
   const [testQueue, setTestQueue] = useState([]);
   const [testIdx, setTestIdx] = useState(0);
   const [testScore, setTestScore] = useState({ correct: 0, total: 0 });
+  const [testResults, setTestResults] = useState(/** @type {CardResult[]} */([]));
+  const [testStartedAt, setTestStartedAt] = useState(0);
+  const [testKind, setTestKind] = useState(/** @type {"self"|"choice"} */("self")); // self-graded or multiple choice
+  const [choiceOptions, setChoiceOptions] = useState(/** @type {Card[]} */([]));
+  const [choicePicked, setChoicePicked] = useState(/** @type {string|null} */(null)); // card id tapped, while feedback shows
+  const [runTimer, setRunTimer] = useState(DEFAULT_TIMER); // timer of the test in progress / just finished
+  const [testNow, setTestNow] = useState(0); // clock tick while a timed test runs
+  const cardShownAt = useRef(0);
+  const answerTestRef = useRef(null); // latest answerTest, for delayed answers
+
+  // listening state
+  const [listenSize, setListenSize] = useState(4); // cards in the grid, 4–9
+  const [listenQueue, setListenQueue] = useState([]); // indices into deck.cards, reshuffled when used up
+  const [listenIdx, setListenIdx] = useState(0);
+  const [listenRound, setListenRound] = useState(0);
+  const [listenGrid, setListenGrid] = useState(/** @type {Card[]} */([]));
+  const [listenMisses, setListenMisses] = useState(/** @type {string[]} */([])); // wrong card ids tapped this round
+  const [listenSolved, setListenSolved] = useState(false);
+  const [listenScore, setListenScore] = useState({ rounds: 0, firstTry: 0, retries: 0 });
+
+  // import state
+  const [importDecks, setImportDecks] = useState(/** @type {{ name:string, cards:Card[] }[]|null} */(null));
+  const [importError, setImportError] = useState("");
+  const [importTarget, setImportTarget] = useState(""); // "" = new deck(s), else merge into this deck id
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [importShared, setImportShared] = useState(/** @type {string|null} */(null)); // name of a deck opened from a share link
+
+  // history state
+  const [historyDeckId, setHistoryDeckId] = useState(/** @type {string|null} */(null));
+  const [expandedSessionId, setExpandedSessionId] = useState(/** @type {string|null} */(null));
 
   // editor state
   const [draftDeck, setDraftDeck] = useState(/** @type {Deck|null} */(null));
   const [isNewDeck, setIsNewDeck] = useState(false);
   const [expandedCards, setExpandedCards] = useState(/** @type {Set<string>} */(new Set()));
+  // bulk entry panel in the editor
+  const [bulkOpen, setBulkOpen] = useState(false);
+  const [bulkText, setBulkText] = useState("");
+  const [bulkAutoBack, setBulkAutoBack] = useState(/** @type {keyof typeof AUTO_BACKS} */("none"));
+  const [bulkSkipFlagged, setBulkSkipFlagged] = useState(true);
+  // card selection and drag-to-reorder in the editor
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedCards, setSelectedCards] = useState(/** @type {Set<string>} */(new Set()));
+  const [dragCardId, setDragCardId] = useState(/** @type {string|null} */(null));
+  // cards moved/copied to other decks, added to them when the draft is saved
+  const [draftTransfers, setDraftTransfers] = useState(/** @type {{ deckId:string, cards:Card[] }[]} */([]));
+  // editor undo/redo
+  const [editHistory, setEditHistory] = useState(emptyHistory);
+  // revision browser and trash (server copies, fetched when the screen opens)
+  const [serverRevisions, setServerRevisions] = useState(/** @type {import("./revisions").Revision[]} */([]));
+  const [expandedRevisionId, setExpandedRevisionId] = useState(/** @type {string|null} */(null));
+  const [serverTrash, setServerTrash] = useState(/** @type {import("./revisions").TrashEntry[]} */([]));
 
   const activeDeck = useMemo(() => decks.find((d) => d.id === activeDeckId) || null, [decks, activeDeckId]);
   const currentCard = activeDeck && queue.length ? activeDeck.cards[queue[currentIdx]] : null;
+  const activeProfile = useMemo(() => profiles.find((p) => p.id === activeProfileId) || null, [profiles, activeProfileId]);
+  const progressFor = (deckId) => activeProfile?.progress?.[deckId] || {};
+
+  // ---------- Sync outbox ----------
+  // Every write goes through the outbox; it is flushed in order and kept until the server accepts it.
+  const outboxRef = useRef(outbox);
+  const flushing = useRef(false);
+
+  const updateOutbox = (fn) => {
+    outboxRef.current = fn(outboxRef.current);
+    setOutbox(outboxRef.current);
+  };
+
+  const sendOp = async (op) => {
+    // Deck edits: don't overwrite a newer server copy (edited on another device)
+    if (op.method === "PUT" && op.baseRev !== undefined) {
+      let server = null;
+      try {
+        server = await apiRequest("GET", op.path);
+      } catch (e) {
+        if (e.status !== 404) throw e;
+      }
+      if (!server) {
+        await apiRequest("POST", "/decks", op.body); // deleted elsewhere; bring it back
+        return;
+      }
+      if ((server.rev || 0) > op.baseRev) {
+        setConflicts((cs) => [...cs.filter((c) => c.deck.id !== op.body.id), { deck: op.body, server }]);
+        return;
+      }
+    }
+    try {
+      await apiRequest(op.method, op.path, op.body);
+    } catch (e) {
+      if (op.method === "DELETE" && e.status === 404) return; // already gone
+      throw e;
+    }
+  };
+
+  const flushOutbox = async () => {
+    if (flushing.current) return;
+    flushing.current = true;
+    try {
+      while (outboxRef.current.length > 0) {
+        const op = outboxRef.current[0];
+        try {
+          await sendOp(op);
+        } catch (e) {
+          if (!e.status || e.status >= 500) break; // server down: retry later
+          console.warn("Sync: dropping rejected write", op.method, op.path, e.message);
+        }
+        updateOutbox((o) => o.filter((x) => x.id !== op.id));
+      }
+    } finally {
+      flushing.current = false;
+    }
+  };
+
+  const queueWrite = (method, path, body, extra = {}) => {
+    updateOutbox((o) => enqueue(o, { id: uid(), method, path, body, at: Date.now(), ...extra }));
+    flushOutbox();
+  };
+
+  // Retry when the browser comes back online and periodically while anything is pending
+  useEffect(() => {
+    const onOnline = () => flushOutbox();
+    window.addEventListener("online", onOnline);
+    const timer = setInterval(() => { if (outboxRef.current.length) flushOutbox(); }, SYNC_RETRY_MS);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      clearInterval(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-  // ---- Load decks from the server at startup (seed if server is empty) ----
+  const resolveConflict = (deckId, keep) => {
+    const conflict = conflicts.find((c) => c.deck.id === deckId);
+    if (!conflict) return;
+    if (keep === "mine") {
+      const deck = { ...conflict.deck, rev: (conflict.server.rev || 0) + 1, updatedAt: Date.now() };
+      setDecks((ds) => ds.map((d) => (d.id === deckId ? deck : d)));
+      queueWrite("PUT", `/decks/${deckId}`, deck, { baseRev: conflict.server.rev || 0 });
+    } else {
+      setDecks((ds) => ds.map((d) => (d.id === deckId ? conflict.server : d)));
+    }
+    setConflicts((cs) => cs.filter((c) => c.deck.id !== deckId));
+  };
+
+  // ---- Load from the server at startup (seed if server is empty), then send anything left over ----
   useEffect(() => {
     (async () => {
+      await flushOutbox();
+      const pendingDecks = pendingIds(outboxRef.current, "/decks");
+      conflicts.forEach((c) => pendingDecks.add(c.deck.id));
       const serverDecks = await api("GET", "/decks");
       if (Array.isArray(serverDecks)) {
         if (serverDecks.length > 0) {
-          setDecks(serverDecks);
+          setDecks((local) => {
+            // also keep local copies that are ahead of the server
+            const keep = new Set(pendingDecks);
+            local.forEach((d) => {
+              const sd = serverDecks.find((x) => x.id === d.id);
+              if (sd && (d.rev || 0) > (sd.rev || 0)) keep.add(d.id);
+            });
+            return mergeRecords(local, serverDecks, keep);
+          });
+        } else {
+          decks.forEach((d) => queueWrite("POST", "/decks", d));
+        }
+      }
+      const serverProfiles = await api("GET", "/profiles");
+      if (Array.isArray(serverProfiles)) {
+        if (serverProfiles.length > 0) {
+          setProfiles((local) => mergeRecords(local, serverProfiles, pendingIds(outboxRef.current, "/profiles")));
         } else {
-          await Promise.all(decks.map(d => api("POST", "/decks", d)));
-          const refreshed = await api("GET", "/decks");
-          if (Array.isArray(refreshed)) setDecks(refreshed);
+          profiles.forEach((p) => queueWrite("POST", "/profiles", p));
+        }
+      }
+      const serverSessions = await api("GET", "/sessions");
+      if (Array.isArray(serverSessions)) {
+        setSessions((local) => mergeRecords(local, serverSessions, pendingIds(outboxRef.current, "/sessions")));
+      }
+      const serverCurricula = await api("GET", "/curricula");
+      if (Array.isArray(serverCurricula)) {
+        if (serverCurricula.length > 0) {
+          setCurricula((local) => mergeRecords(local, serverCurricula, pendingIds(outboxRef.current, "/curricula")));
+        } else {
+          curricula.forEach((c) => queueWrite("POST", "/curricula", c));
         }
       }
     })();
@@ -140,376 +510,139 @@ export default function App() {
   const [castSession, setCastSession] = useState(null);
   const [isCasting, setIsCasting] = useState(false);
 
-  // Simplified: Just track if we're casting via state (updated when button is clicked)
-  // No polling needed since we capture session directly in button onClick
-
-  const sendResultsToCast = async (session, score) => {
-    if (!session) return;
-    
+  // Present mode (second screen in any browser): { code, key } of the server room we publish to
+  const [presentRoom, setPresentRoom] = useState(/** @type {{ code:string, key:string }|null} */(null));
+  const [showPresentInfo, setShowPresentInfo] = useState(false);
+  // teacher view (class data comes from /api/class)
+  const [teacherDeckId, setTeacherDeckId] = useState(/** @type {string|null} */(null));
+  const [classReport, setClassReport] = useState(/** @type {any} */(null));
+  const [classError, setClassError] = useState("");
+  const classDeckRequest = useRef(/** @type {string|null} */(null)); // deck the latest report request is for
+  // share panel on the mode screen
+  const [shareOpen, setShareOpen] = useState(false);
+  const [shareLink, setShareLink] = useState(/** @type {{ url:string, code?:string }|null} */(null));
+  const [shareError, setShareError] = useState("");
+
+  const startPresenting = async () => {
+    if (presentRoom) {
+      setShowPresentInfo(true);
+      return;
+    }
     try {
-      // eslint-disable-next-line no-undef
-      if (!window.chrome || !window.chrome.cast) return;
-      
-      const percentage = Math.round((score.correct / Math.max(1, score.total)) * 100);
-      let message, emoji;
-      if (percentage === 100) {
-        message = "Perfect!";
-        emoji = "🌟";
-      } else if (percentage >= 80) {
-        message = "Great job!";
-        emoji = "🎉";
-      } else if (percentage >= 60) {
-        message = "Good work!";
-        emoji = "👍";
-      } else if (percentage >= 40) {
-        message = "Keep practicing!";
-        emoji = "💪";
-      } else if (percentage >= 20) {
-        message = "Nice try! Keep going!";
-        emoji = "🌱";
-      } else {
-        message = "Let's practice together!";
-        emoji = "🌈";
-      }
-      
-      // Create a high-quality image with nice design
-      const canvas = document.createElement('canvas');
-      canvas.width = 1920;
-      canvas.height = 1080;
-      const ctx = canvas.getContext('2d');
-      
-      // Gradient background
-      const gradient = ctx.createLinearGradient(0, 0, 0, 1080);
-      gradient.addColorStop(0, '#fef3c7');
-      gradient.addColorStop(1, '#fde68a');
-      ctx.fillStyle = gradient;
-      ctx.fillRect(0, 0, 1920, 1080);
-      
-      // Decorative circles
-      ctx.fillStyle = 'rgba(255, 182, 193, 0.2)';
-      ctx.beginPath();
-      ctx.arc(200, 200, 150, 0, Math.PI * 2);
-      ctx.fill();
-      
-      ctx.beginPath();
-      ctx.arc(1720, 880, 200, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Main message with emoji
-      ctx.fillStyle = '#1e293b';
-      ctx.font = 'bold 200px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(message, 960, 400);
-      
-      // Emoji
-      ctx.font = 'bold 250px Arial';
-      ctx.fillText(emoji, 960, 620);
-      
-      // Score text with nice styling
-      ctx.font = 'bold 140px Arial';
-      ctx.fillText(`${score.correct} / ${score.total}`, 960, 780);
-      
-      // Percentage
-      ctx.font = 'bold 100px Arial';
-      ctx.fillStyle = '#475569';
-      ctx.fillText(`${percentage}%`, 960, 900);
-      
-      // Convert to blob and upload to server
-      canvas.toBlob(async (blob) => {
-        try {
-          // Upload to image server
-          const formData = new FormData();
-          formData.append('image', blob, 'results.jpg');
-          
-          const response = await fetch('/upload-image', {
-            method: 'POST',
-            body: formData
-          });
-          
-          if (!response.ok) {
-            throw new Error('Upload failed');
-          }
-          
-          const data = await response.json();
-          const imageUrl = data.url;
-          
-          console.log('Image uploaded to:', imageUrl);
-          
-          // Cast the hosted image
-          // eslint-disable-next-line no-undef
-          const mediaInfo = new chrome.cast.media.MediaInfo(imageUrl, 'image/jpeg');
-          // eslint-disable-next-line no-undef
-          mediaInfo.metadata = new chrome.cast.media.GenericMediaMetadata();
-          mediaInfo.metadata.title = message;
-          mediaInfo.metadata.subtitle = `Score: ${score.correct}/${score.total}`;
-          
-          // eslint-disable-next-line no-undef
-          const request = new chrome.cast.media.LoadRequest(mediaInfo);
-          request.currentTime = 0;
-          
-          console.log('Casting hosted image:', imageUrl);
-          
-          session.loadMedia(request,
-            (media) => {
-              console.log('Cast results loaded successfully');
-            },
-            (error) => {
-              console.error('Cast results load error:', error);
-            }
-          );
-        } catch (e) {
-          console.error('Failed to upload/cast results:', e);
-          // Fallback to data URL if upload fails
-          const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
-          // eslint-disable-next-line no-undef
-          const mediaInfo = new chrome.cast.media.MediaInfo(dataUrl, 'image/jpeg');
-          // eslint-disable-next-line no-undef
-          mediaInfo.metadata = new chrome.cast.media.GenericMediaMetadata();
-          mediaInfo.metadata.title = message;
-          // eslint-disable-next-line no-undef
-          const request = new chrome.cast.media.LoadRequest(mediaInfo);
-          request.currentTime = 0;
-          session.loadMedia(request, () => {}, () => {});
-        }
-      }, 'image/jpeg', 0.95);
+      setPresentRoom(await apiRequest("POST", "/present"));
+      setShowPresentInfo(true);
     } catch (e) {
-      console.error('Failed to load results:', e);
+      alert("Present mode needs the flashcards server — are you online?");
     }
   };
 
-  const sendCardToCastWithSession = (session, card) => {
-    if (!session || !card) return;
-    
-    try {
-      // eslint-disable-next-line no-undef
-      if (!window.chrome || !window.chrome.cast) return;
-      
-      const cardText = showBack ? (card.back || card.front) : card.front;
-      
-      // Create a high-quality card image
-      const canvas = document.createElement('canvas');
-      canvas.width = 1920;
-      canvas.height = 1080;
-      const ctx = canvas.getContext('2d');
-      
-      // Gradient background
-      const gradient = ctx.createLinearGradient(0, 0, 0, 1080);
-      gradient.addColorStop(0, '#fef3c7');
-      gradient.addColorStop(1, '#fde68a');
-      ctx.fillStyle = gradient;
-      ctx.fillRect(0, 0, 1920, 1080);
-      
-      // Text - much larger
-      ctx.fillStyle = '#1e293b';
-      ctx.font = 'bold 300px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      
-      // Handle long words
-      const maxWidth = 1600;
-      const words = cardText.split(' ');
-      let lines = [];
-      let currentLine = '';
-      
-      for (let word of words) {
-        const testLine = currentLine + (currentLine ? ' ' : '') + word;
-        const metrics = ctx.measureText(testLine);
-        if (metrics.width > maxWidth && currentLine) {
-          lines.push(currentLine);
-          currentLine = word;
-        } else {
-          currentLine = testLine;
-        }
-      }
-      if (currentLine) lines.push(currentLine);
-      
-      // Draw lines
-      const lineHeight = 350;
-      const startY = 540 - ((lines.length - 1) * lineHeight) / 2;
-      
-      lines.forEach((line, idx) => {
-        ctx.fillText(line, 960, startY + idx * lineHeight);
+  const stopPresenting = () => {
+    if (presentRoom) api("DELETE", `/present/${presentRoom.code}`, { key: presentRoom.key });
+    setPresentRoom(null);
+    setShowPresentInfo(false);
+  };
+
+  const presentUrl = (code) => `${window.location.origin}/present.html?room=${code}`;
+
+  // Card/flip/progress/results go to the TV and/or the present room
+  const broadcast = (message) => {
+    if (isCasting) sendCastMessage(castSession, message);
+    if (presentRoom) {
+      apiRequest("PUT", `/present/${presentRoom.code}`, { key: presentRoom.key, message }).catch((e) => {
+        console.warn("Present update failed:", e.message);
+        if (e.status === 404) setPresentRoom(null); // room expired or the server restarted
       });
-      
-      // Convert to blob and upload to server
-      canvas.toBlob(async (blob) => {
-        try {
-          // Upload to image server
-          const formData = new FormData();
-          formData.append('image', blob, 'card.jpg');
-          
-          const response = await fetch('/upload-image', {
-            method: 'POST',
-            body: formData
-          });
-          
-          if (!response.ok) {
-            throw new Error('Upload failed');
-          }
-          
-          const data = await response.json();
-          const imageUrl = data.url;
-          
-          console.log('Image uploaded to:', imageUrl);
-          
-          // Cast the hosted image
-          // eslint-disable-next-line no-undef
-          const mediaInfo = new chrome.cast.media.MediaInfo(imageUrl, 'image/jpeg');
-          // eslint-disable-next-line no-undef
-          mediaInfo.metadata = new chrome.cast.media.GenericMediaMetadata();
-          mediaInfo.metadata.title = cardText;
-          mediaInfo.metadata.subtitle = card.back ? 'Tap your device to see the answer' : '';
-          
-          // eslint-disable-next-line no-undef
-          const request = new chrome.cast.media.LoadRequest(mediaInfo);
-          request.currentTime = 0;
-          
-          console.log('Casting hosted image:', imageUrl);
-          
-          session.loadMedia(request,
-            (media) => {
-              console.log('Cast media loaded successfully:', cardText, media);
-            },
-            (error) => {
-              console.error('Cast load error:', error);
-            }
-          );
-        } catch (e) {
-          console.error('Failed to upload/cast card:', e);
-          // Fallback: use smaller data URL
-          const smallCanvas = document.createElement('canvas');
-          smallCanvas.width = 1280;
-          smallCanvas.height = 720;
-          const smallCtx = smallCanvas.getContext('2d');
-          smallCtx.fillStyle = '#fef3c7';
-          smallCtx.fillRect(0, 0, 1280, 720);
-          smallCtx.fillStyle = '#1e293b';
-          smallCtx.font = 'bold 200px Arial';
-          smallCtx.textAlign = 'center';
-          smallCtx.textBaseline = 'middle';
-          smallCtx.fillText(cardText, 640, 360);
-          const dataUrl = smallCanvas.toDataURL('image/jpeg', 0.7);
-          // eslint-disable-next-line no-undef
-          const mediaInfo = new chrome.cast.media.MediaInfo(dataUrl, 'image/jpeg');
-          // eslint-disable-next-line no-undef
-          mediaInfo.metadata = new chrome.cast.media.GenericMediaMetadata();
-          mediaInfo.metadata.title = cardText;
-          // eslint-disable-next-line no-undef
-          const request = new chrome.cast.media.LoadRequest(mediaInfo);
-          request.currentTime = 0;
-          session.loadMedia(request, () => {}, () => {});
-        }
-      }, 'image/jpeg', 0.95);
-    } catch (e) {
-      console.error('Failed to load media:', e);
     }
   };
 
-  const sendCardToCast = (card) => {
-    if (!castSession || !card) return;
-    
-    try {
-      // eslint-disable-next-line no-undef
-      if (!window.chrome || !window.chrome.cast) return;
-      
-      const cardText = showBack ? (card.back || card.front) : card.front;
-      
-      // Create an image from the card text using canvas - smaller size for Chromecast
-      const canvas = document.createElement('canvas');
-      canvas.width = 1280;  // Reduced from 1920
-      canvas.height = 720;  // Reduced from 1080
-      const ctx = canvas.getContext('2d');
-      
-      // Background
-      ctx.fillStyle = '#fef3c7';
-      ctx.fillRect(0, 0, 1280, 720);
-      
-      // Text - reduced font size
-      ctx.fillStyle = '#1e293b';
-      ctx.font = 'bold 200px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      
-      // Handle long words by splitting into lines
-      const maxWidth = 1100;  // Reduced from 1600
-      const words = cardText.split(' ');
-      let lines = [];
-      let currentLine = '';
-      
-      for (let word of words) {
-        const testLine = currentLine + (currentLine ? ' ' : '') + word;
-        const metrics = ctx.measureText(testLine);
-        if (metrics.width > maxWidth && currentLine) {
-          lines.push(currentLine);
-          currentLine = word;
-        } else {
-          currentLine = testLine;
-        }
-      }
-      if (currentLine) lines.push(currentLine);
-      
-      // Draw lines
-      const lineHeight = 230;  // Reduced from 350
-      const startY = 360 - ((lines.length - 1) * lineHeight) / 2;
-      
-      lines.forEach((line, idx) => {
-        ctx.fillText(line, 640, startY + idx * lineHeight);
-      });
-      
-      // Convert canvas to data URL - lower quality to reduce size
-      const dataUrl = canvas.toDataURL('image/jpeg', 0.7);
-      
-      // eslint-disable-next-line no-undef
-      const mediaInfo = new chrome.cast.media.MediaInfo(dataUrl, 'image/jpeg');
-      // eslint-disable-next-line no-undef
-      mediaInfo.metadata = new chrome.cast.media.GenericMediaMetadata();
-      mediaInfo.metadata.title = cardText;
-      mediaInfo.metadata.subtitle = card.back ? 'Tap your device to see the answer' : '';
-      
-      // eslint-disable-next-line no-undef
-      const request = new chrome.cast.media.LoadRequest(mediaInfo);
-      request.currentTime = 0;
-      
-      console.log('Loading media with data URL length:', dataUrl.length);
-      console.log('Request:', request);
-      
-      castSession.loadMedia(request,
-        (media) => {
-          console.log('Cast media loaded successfully:', cardText, media);
-        },
-        (error) => {
-          console.error('Cast load error:', error);
-        }
-      );
-    } catch (e) {
-      console.error('Failed to load media:', e);
+  // The custom receiver needs its registered app id (REACT_APP_CAST_APP_ID, see public/index.html)
+  const startCasting = () => {
+    const chrome = window.chrome;
+    if (!chrome?.cast?.requestSession) {
+      alert("Cast not available. Make sure you are using Chrome browser.");
+      return;
+    }
+    if (!window.castCustomReceiver) {
+      alert("Casting needs the flashcards receiver app: set REACT_APP_CAST_APP_ID and rebuild.");
+      return;
     }
+    chrome.cast.requestSession(
+      (session) => {
+        setCastSession(session);
+        setIsCasting(true);
+        session.addUpdateListener((isAlive) => {
+          if (isAlive) return;
+          setCastSession(null);
+          setIsCasting(false);
+        });
+      },
+      (error) => console.log("Cast session error:", error)
+    );
   };
 
   // ---------- Practice mode ----------
   useEffect(() => {
     if (screen !== "practice" || !activeDeck) return;
-    const indices = activeDeck.cards.map((_, i) => i);
-    const shuffled = shuffleArray(indices);
-    setQueue(shuffled);
+    const indices = practiceScope === "due" && !focusCardIds
+      ? buildDueQueue(activeDeck, progressFor(activeDeck.id).schedule)
+      : practiceScope === "order"
+        ? focusIndices(activeDeck, focusCardIds)
+        : shuffleArray(focusIndices(activeDeck, focusCardIds));
+    setQueue(indices);
     setCurrentIdx(0);
     setShowBack(false);
     setStats({ seen: 0, correct: 0 });
-    
-    // Send initial card to Chromecast if casting
-    if (isCasting && castSession && activeDeck.cards.length > 0) {
-      sendCardToCastWithSession(castSession, activeDeck.cards[shuffled[0]]);
-    }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [screen, activeDeckId, isCasting]);
+  }, [screen, activeDeckId, practiceScope, activeProfileId, focusCardIds]);
+
+  // Back on the deck's mode screen, any temporary sub-deck is dropped
+  useEffect(() => {
+    if (screen === "mode") setFocusCardIds(null);
+  }, [screen]);
+
+  // Update the active profile's progress for one deck (kept locally and PATCHed to the server)
+  const updateProgress = (deckId, fn) => {
+    if (!activeProfile) return;
+    const progress = { ...(activeProfile.progress || {}), [deckId]: fn(progressFor(deckId)) };
+    setProfiles((ps) => ps.map((p) => (p.id === activeProfile.id ? { ...p, progress } : p)));
+    queueWrite("PATCH", `/profiles/${activeProfile.id}`, { progress });
+  };
+
+  const recordReview = (cardId, correct) => {
+    if (!activeDeck) return;
+    updateProgress(activeDeck.id, (pr) => ({
+      ...pr,
+      schedule: pruneSchedule({ ...(pr.schedule || {}), [cardId]: reviewCard(pr.schedule?.[cardId], correct) }, activeDeck.cards),
+      stats: { seen: (pr.stats?.seen || 0) + 1, correct: (pr.stats?.correct || 0) + (correct ? 1 : 0) },
+    }));
+  };
 
   const flip = () => setShowBack((b) => !b);
 
+  // ---------- Read-aloud ----------
+  const [voices, setVoices] = useState(() => listVoices());
+  useEffect(() => {
+    if (!speechSupported()) return;
+    const onVoices = () => setVoices(listVoices());
+    window.speechSynthesis.addEventListener("voiceschanged", onVoices);
+    return () => window.speechSynthesis.removeEventListener("voiceschanged", onVoices);
+  }, []);
+
+  const deckSpeech = speechSettings(activeDeck);
+  // A deck later on a learning path stays closed to the child until the step before it is mastered
+  const activeLock = activeDeck ? lockedBy(curricula, decks, sessions, activeProfileId, activeDeck.id) : null;
+  const sayCard = (card, side) => readCard(card, side, deckSpeech);
+
+  // Auto-read: the front when a card appears, the back when it's revealed
+  useEffect(() => {
+    if (screen !== "practice" || !currentCard || !deckSpeech.enabled) return;
+    if (showBack ? deckSpeech.autoReveal : deckSpeech.autoFront) sayCard(currentCard, showBack ? "back" : "front");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, currentCard?.id, showBack]);
+
   const shuffleNow = () => {
     if (!activeDeck) return;
-    const indices = activeDeck.cards.map((_, i) => i);
-    setQueue(shuffleArray(indices));
+    setQueue(shuffleArray(queue));
     setCurrentIdx(0);
     setShowBack(false);
   };
@@ -518,8 +651,9 @@ export default function App() {
     if (!activeDeck || queue.length === 0) return;
     const q = [...queue];
     const [cur] = q.splice(currentIdx, 1);
+    recordReview(activeDeck.cards[cur].id, correct);
     if (correct) {
-      q.push(cur); // seen later
+      if (practiceScope !== "due" || focusCardIds) q.push(cur); // seen later; in "due" mode it's done for today
     } else {
       q.splice(clamp(currentIdx + 2, 0, q.length), 0, cur); // reinsert after two
     }
@@ -528,56 +662,472 @@ export default function App() {
     setCurrentIdx(newIdx);
     setShowBack(false);
     setStats((s) => ({ seen: s.seen + 1, correct: s.correct + (correct ? 1 : 0) }));
-    
-    // Send card to Chromecast if casting
-    if (isCasting && castSession && activeDeck && activeDeck.cards.length > 0) {
-      const nextCard = activeDeck.cards[q[newIdx]];
-      sendCardToCastWithSession(castSession, nextCard);
-    }
   };
 
   // ---------- Test mode ----------
-  const startTest = () => {
+  const startTest = (cardIds = focusCardIds, kind = testKind) => {
     if (!activeDeck) return;
-    const indices = shuffleArray(activeDeck.cards.map((_, i) => i));
+    setTestKind(kind);
+    setRunTimer(testTimer);
+    const indices = shuffleArray(focusIndices(activeDeck, cardIds));
     setTestQueue(indices);
     setTestIdx(0);
     setTestScore({ correct: 0, total: indices.length });
+    setTestResults([]);
+    setTestStartedAt(Date.now());
+    setTestNow(Date.now());
     setShowBack(false);
     setScreen("test");
-    
-    // Send initial card to Chromecast if casting
-    if (isCasting && castSession && activeDeck.cards.length > 0) {
-      sendCardToCastWithSession(castSession, activeDeck.cards[indices[0]]);
-    }
   };
 
   const currentTestCard = activeDeck && testQueue.length ? activeDeck.cards[testQueue[testIdx]] : null;
 
-  const answerTest = (correct) => {
+  useEffect(() => {
+    if (screen !== "test" || !currentTestCard || testKind !== "self" || !deckSpeech.enabled || !deckSpeech.autoFront) return;
+    sayCard(currentTestCard, "front");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, currentTestCard?.id]);
+
+  // Timed tests: tick while running; out of total time ends the test, out of card time counts as wrong
+  const timedTest = screen === "test" && runTimer.mode !== "off";
+  useEffect(() => {
+    if (!timedTest) return;
+    const t = setInterval(() => setTestNow(Date.now()), 200);
+    return () => clearInterval(t);
+  }, [timedTest]);
+
+  useEffect(() => {
+    if (!timedTest || choicePicked) return;
+    const limit = runTimer.seconds * 1000;
+    if (runTimer.mode === "total" && testNow - testStartedAt >= limit) finishTest(testResults);
+    if (runTimer.mode === "card" && testNow - cardShownAt.current >= limit) answerTest(false, limit, true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [testNow]);
+
+  const timeLeft = () => {
+    const since = runTimer.mode === "total" ? testStartedAt : cardShownAt.current;
+    return Math.max(0, Math.ceil((runTimer.seconds * 1000 - (testNow - since)) / 1000));
+  };
+
+  // ---------- Cast / present sync ----------
+  // The TV follows the current card; in multiple choice it only gets progress, since the card is the answer
+  const castCard = screen === "practice" ? currentCard : screen === "test" && testKind === "self" ? currentTestCard : null;
+  const castPosition = screen === "practice" ? { idx: currentIdx + 1, total: queue.length } : { idx: testIdx + 1, total: testQueue.length };
+  const following = isCasting || !!presentRoom;
+
+  useEffect(() => {
+    if (!following || !castCard) return;
+    broadcast(cardMessage(castCard, { showBack, ...castPosition, theme: themeFor(activeDeck?.theme) }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [following, presentRoom?.code, castCard?.id, testIdx, testStartedAt]);
+
+  useEffect(() => {
+    if (!following || !castCard) return;
+    broadcast({ type: "flip", showBack });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showBack]);
+
+  useEffect(() => {
+    if (!following || screen !== "test" || testKind !== "choice") return;
+    broadcast({ type: "progress", ...castPosition, correct: testScore.correct });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [following, presentRoom?.code, screen, testKind, testIdx, testScore.correct]);
+
+  // ---------- Multiple-choice test ----------
+  // 4 options when the deck has enough different fronts, otherwise 3
+  const choiceCount = (deck) => (distinctFronts(deck) >= 4 ? 4 : 3);
+  // What the child gets: the back (unless it names the answer, like "say: the") and/or a picture,
+  // and the front read aloud when the card has a recording or the deck has read-aloud on
+  const choicePrompt = (card, settings = deckSpeech) => ({
+    text: card.back && !namesFront(card) ? card.back : "",
+    image: card.frontImage || card.backImage || "",
+    audible: Boolean(card.audioUrl) || (settings.enabled && speechSupported()),
+  });
+  const hasPrompt = (card, settings) => {
+    const prompt = choicePrompt(card, settings);
+    return Boolean(prompt.text || prompt.image || prompt.audible);
+  };
+  // Every card needs something to go on, or its question would be a blank card
+  const canChoiceTest = (deck) => distinctFronts(deck) >= 3 && deck.cards.every((c) => hasPrompt(c, speechSettings(deck)));
+
+  useEffect(() => {
+    if (screen !== "test" || testKind !== "choice" || !currentTestCard || !activeDeck) return;
+    const distractors = pickDistractors(currentTestCard, activeDeck.cards, choiceCount(activeDeck) - 1);
+    setChoiceOptions(shuffleArray([currentTestCard, ...distractors]));
+    setChoicePicked(null);
+    if (choicePrompt(currentTestCard).audible) sayCard(currentTestCard, "front");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, testKind, currentTestCard?.id, testIdx, testStartedAt]);
+
+  // Show green/red on the tapped option for a moment, then score it like a self-graded answer
+  const pickChoice = (card) => {
+    if (choicePicked) return;
+    setChoicePicked(card.id);
+    const correct = cardKey(card.front) === cardKey(currentTestCard.front);
+    const ms = Date.now() - cardShownAt.current;
+    setTimeout(() => answerTestRef.current(correct, ms), correct ? 700 : 1500);
+  };
+
+  // Response times run from when the card is shown to the answer
+  useEffect(() => {
+    if (screen === "test") cardShownAt.current = Date.now();
+  }, [screen, testIdx, testStartedAt]);
+
+  const finishTest = (results) => {
+    const score = { correct: results.filter((r) => r.correct).length, total: results.length };
+    setTestScore(score);
+    setScreen("results");
+    if (activeDeck) {
+      const lastTest = { ...score, at: Date.now() };
+      updateProgress(activeDeck.id, (pr) => ({ ...pr, lastTest }));
+      saveTestSession(results, lastTest.at);
+    }
+    // Send results to the TV / present room
+    broadcast(resultsMessage(score));
+  };
+
+  const answerTest = (correct, ms = Date.now() - cardShownAt.current, timedOut = false) => {
+    if (screen !== "test") return; // a delayed answer after time ran out
     setTestScore((s) => ({ ...s, correct: s.correct + (correct ? 1 : 0) }));
+    const card = activeDeck?.cards[testQueue[testIdx]];
+    const result = { cardId: card?.id, front: card?.front, correct, ms, ...(timedOut ? { timedOut } : {}) };
+    const results = card ? [...testResults, result] : testResults;
+    setTestResults(results);
     if (testIdx + 1 >= testQueue.length) {
-      setScreen("results");
-      // Send results to TV if casting
-      if (isCasting && castSession) {
-        const finalScore = { correct: testScore.correct + (correct ? 1 : 0), total: testQueue.length };
-        sendResultsToCast(castSession, finalScore);
-      }
+      finishTest(results);
     } else {
       setTestIdx(testIdx + 1);
       setShowBack(false);
-      
-      // Send next card to Chromecast if casting
-      if (isCasting && castSession && activeDeck && activeDeck.cards.length > 0) {
-        const nextCard = activeDeck.cards[testQueue[testIdx + 1]];
-        sendCardToCastWithSession(castSession, nextCard);
-      }
     }
   };
+  answerTestRef.current = answerTest;
+
+  // ---------- Listening mode ----------
+  const startListening = () => {
+    if (!activeDeck) return;
+    setListenQueue(shuffleArray(focusIndices(activeDeck, focusCardIds)));
+    setListenIdx(0);
+    setListenRound((r) => r + 1);
+    setListenScore({ rounds: 0, firstTry: 0, retries: 0 });
+    setScreen("listen");
+  };
+
+  const listenCard = activeDeck && listenQueue.length ? activeDeck.cards[listenQueue[listenIdx]] : null;
+
+  useEffect(() => {
+    if (screen !== "listen" || !listenCard || !activeDeck) return;
+    const others = pickDistractors(listenCard, activeDeck.cards, listenSize - 1);
+    setListenGrid(shuffleArray([listenCard, ...others]));
+    setListenMisses([]);
+    setListenSolved(false);
+    sayCard(listenCard, "front");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [screen, listenRound, listenSize]);
+
+  const nextListen = () => {
+    if (listenIdx + 1 >= listenQueue.length) {
+      setListenQueue(shuffleArray(listenQueue));
+      setListenIdx(0);
+    } else {
+      setListenIdx(listenIdx + 1);
+    }
+    setListenSolved(false);
+    setListenRound((r) => r + 1);
+  };
+
+  // Wrong taps count as retries and repeat the word; the round ends on the right card
+  const tapListen = (card) => {
+    if (listenSolved || listenMisses.includes(card.id)) return;
+    if (cardKey(card.front) !== cardKey(listenCard.front)) {
+      setListenMisses((xs) => [...xs, card.id]);
+      setListenScore((s) => ({ ...s, retries: s.retries + 1 }));
+      setTimeout(() => sayCard(listenCard, "front"), 500);
+      return;
+    }
+    const firstTry = listenMisses.length === 0;
+    setListenSolved(true);
+    setListenScore((s) => ({ ...s, rounds: s.rounds + 1, firstTry: s.firstTry + (firstTry ? 1 : 0) }));
+    updateProgress(activeDeck.id, (pr) => ({
+      ...pr,
+      listen: {
+        rounds: (pr.listen?.rounds || 0) + 1,
+        firstTry: (pr.listen?.firstTry || 0) + (firstTry ? 1 : 0),
+        retries: (pr.listen?.retries || 0) + listenMisses.length,
+      },
+    }));
+    setTimeout(nextListen, 1000);
+  };
+
+  // ---------- Card pictures ----------
+  const downloadCardPng = async (card, side) => {
+    const canvas = await renderCard(card, { side, theme: activeDeck?.theme, uppercase });
+    downloadFile(`${fileSlug(card.front)}-${side}.png`, await canvasPng(canvas), "image/png");
+  };
+
+  const downloadResultsPng = async () => {
+    const caption = [activeProfile?.name, activeDeck?.name].filter(Boolean).join(" • ");
+    const canvas = renderResults(testScore, { theme: activeDeck?.theme, caption });
+    downloadFile(`${fileSlug(activeDeck?.name)}-results.png`, await canvasPng(canvas), "image/png");
+  };
+
+  // ---------- Missed cards (results screen) ----------
+  const missedTestCards = () => {
+    if (!activeDeck) return [];
+    const missedIds = new Set(testResults.filter((r) => !r.correct).map((r) => r.cardId));
+    return activeDeck.cards.filter((c) => missedIds.has(c.id));
+  };
+
+  const practiceMissed = () => {
+    setFocusCardIds(missedTestCards().map((c) => c.id));
+    setScreen("practice");
+  };
+
+  const testMissed = () => {
+    const ids = missedTestCards().map((c) => c.id);
+    setFocusCardIds(ids);
+    startTest(ids);
+  };
+
+  // Opens the missed cards as a new deck in the editor; Save goes through saveDraft (POST /decks)
+  const saveMissedAsDeck = () => {
+    if (!activeDeck) return;
+    const newDeck = {
+      id: uid(),
+      name: `${activeDeck.name} – to practice`,
+      cards: missedTestCards().map((c) => ({ ...c, id: uid() })),
+    };
+    setDraftDeck(newDeck);
+    setIsNewDeck(true);
+    setBulkOpen(false);
+    resetCardTools();
+    setActiveDeckId(newDeck.id);
+    setScreen("editor");
+  };
+
+  // ---------- Test history ----------
+  const saveTestSession = (results, finishedAt) => {
+    /** @type {TestSession} */
+    const session = {
+      id: uid(),
+      deckId: activeDeck.id,
+      deckName: activeDeck.name,
+      profileId: activeProfileId,
+      kind: testKind,
+      ...(runTimer.mode !== "off" ? { timer: runTimer } : {}),
+      startedAt: testStartedAt,
+      finishedAt,
+      durationMs: runTimer.mode === "total" ? Math.min(finishedAt - testStartedAt, runTimer.seconds * 1000) : finishedAt - testStartedAt,
+      cardIds: results.map((r) => r.cardId),
+      results,
+      correct: results.filter((r) => r.correct).length,
+      total: results.length,
+    };
+    setSessions((xs) => [...xs, session]);
+    queueWrite("POST", "/sessions", session);
+  };
+
+  const openHistory = (deckId) => {
+    setHistoryDeckId(deckId);
+    setExpandedSessionId(null);
+    setScreen("history");
+  };
+
+  // ---------- Import / export ----------
+  const openImport = () => {
+    setImportDecks(null);
+    setImportError("");
+    setImportTarget("");
+    setImportShared(null);
+    setScreen("import");
+  };
+
+  const readImportFile = async (file) => {
+    if (!file) return;
+    setImportError("");
+    try {
+      const parsed = parseDeckFile(await file.text(), file.name);
+      if (!parsed.length || parsed.every((d) => d.cards.length === 0)) throw new Error("No cards found in this file.");
+      setImportDecks(parsed);
+      setImportTarget("");
+    } catch (e) {
+      setImportDecks(null);
+      setImportError(e.message);
+    }
+  };
+
+  // Cards that will actually be imported for one parsed deck
+  const importCardsFor = (d) => {
+    const existing = importTarget ? decks.find((x) => x.id === importTarget)?.cards || [] : [];
+    if (!skipDuplicates) return d.cards;
+    const seen = new Set(existing.map((c) => cardKey(c.front)));
+    return d.cards.filter((c) => {
+      const key = cardKey(c.front);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  };
+
+  const confirmImport = () => {
+    if (!importDecks) return;
+    const target = importTarget && decks.find((d) => d.id === importTarget);
+    if (target) {
+      const baseRev = target.rev || 0;
+      const merged = { ...target, cards: [...target.cards, ...importCardsFor(importDecks[0]).map(importedCard)], rev: baseRev + 1, updatedAt: Date.now() };
+      setDecks((ds) => ds.map((d) => (d.id === merged.id ? merged : d)));
+      queueWrite("PUT", `/decks/${merged.id}`, merged, { baseRev });
+    } else {
+      // keep the deck's own id (shared links, JSON exports) unless this library already uses it
+      const taken = new Set(decks.map((d) => d.id));
+      const created = importDecks.map((d) => ({
+        id: d.id && !taken.has(d.id) && taken.add(d.id) ? d.id : uid(),
+        name: d.name.trim() || "Imported Deck",
+        cards: importCardsFor(d).map(importedCard),
+        ...Object.fromEntries(DECK_META.filter((k) => d[k] !== undefined).map((k) => [k, d[k]])),
+        rev: 1,
+        updatedAt: Date.now(),
+      }));
+      setDecks((ds) => [...ds, ...created]);
+      created.forEach((d) => queueWrite("POST", "/decks", d));
+    }
+    setImportDecks(null);
+    setImportShared(null);
+    setScreen("home");
+  };
+
+  // ---------- Teacher view ----------
+  const loadClassDeck = async (deckId) => {
+    setTeacherDeckId(deckId);
+    setClassReport(null);
+    setClassError("");
+    classDeckRequest.current = deckId;
+    if (!deckId) return;
+    const report = await api("GET", `/class/decks/${encodeURIComponent(deckId)}`);
+    // switching decks quickly: a slower reply for the previous deck must not replace this one
+    if (classDeckRequest.current !== deckId) return;
+    if (report) setClassReport(report);
+    else setClassError("The class view needs the flashcards server (npm run server) and decks that have been synced to it.");
+  };
+
+  const openTeacher = () => {
+    setScreen("teacher");
+    loadClassDeck(teacherDeckId && decks.some((d) => d.id === teacherDeckId) ? teacherDeckId : decks[0]?.id || null);
+  };
+
+  // A suggested group's cards as a new deck in the editor (same flow as "save missed cards")
+  const saveGroupAsDeck = (group, n) => {
+    const deck = decks.find((d) => d.id === teacherDeckId);
+    if (!deck) return;
+    const newDeck = {
+      id: uid(),
+      name: `${deck.name} – group ${n}`,
+      cards: deck.cards.filter((c) => group.cardIds.includes(c.id)).map((c) => ({ ...c, id: uid() })),
+    };
+    setDraftDeck(newDeck);
+    setIsNewDeck(true);
+    setBulkOpen(false);
+    resetCardTools();
+    setActiveDeckId(newDeck.id);
+    setScreen("editor");
+  };
+
+  // ---------- Sharing ----------
+  const openShare = async () => {
+    if (!activeDeck) return;
+    setShareOpen(true);
+    setShareError("");
+    setShareLink(null);
+    try {
+      setShareLink({ url: deckLink(await encodeDeck(sharedDeck(activeDeck))) });
+    } catch (e) {
+      setShareError(`Couldn't make a share link (${e.message}).`);
+    }
+  };
+
+  const makeShareCode = async () => {
+    if (!activeDeck) return;
+    setShareError("");
+    try {
+      const { code } = await apiRequest("POST", "/shares", { deck: sharedDeck(activeDeck) });
+      setShareLink({ url: codeLink(code), code });
+    } catch (e) {
+      setShareError(`Couldn't get a short code (${e.message}). The link above still works.`);
+    }
+  };
+
+  const sendShareLink = () => {
+    if (!shareLink || !activeDeck) return;
+    if (navigator.share) {
+      navigator.share({ title: activeDeck.name, text: `Flashcards: ${activeDeck.name}`, url: shareLink.url }).catch(() => {});
+    } else {
+      navigator.clipboard?.writeText(shareLink.url);
+    }
+  };
+
+  // A share link opens the import screen with the deck ready; a deck with the same id is merged into, never replaced
+  const openSharedLink = async () => {
+    const share = parseShareHash(window.location.hash);
+    if (!share) return;
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    setImportError("");
+    setImportDecks(null);
+    setImportTarget("");
+    setScreen("import");
+    try {
+      const deck = share.kind === "deck" ? await decodeDeck(share.payload) : (await apiRequest("GET", `/shares/${share.code}`)).deck;
+      setImportDecks([deck]);
+      setImportShared(deck.name);
+      setImportTarget(decks.some((d) => d.id === deck.id) ? deck.id : "");
+    } catch (e) {
+      setImportShared(null);
+      setImportError(share.kind === "code" && e.status === 404 ? `No shared deck with the code ${share.code}.` : e.message);
+    }
+  };
+  const openSharedRef = useRef(openSharedLink);
+  openSharedRef.current = openSharedLink;
+  useEffect(() => {
+    const onHash = () => openSharedRef.current();
+    onHash();
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+
+  const exportDecks = (list, format) => {
+    const name = list.length === 1 ? fileSlug(list[0].name) : "flashcards";
+    if (format === "json") downloadFile(`${name}.json`, exportJson(list), "application/json");
+    else if (format === "tsv") downloadFile(`${name}.tsv`, exportDelimited(list, "\t"), "text/tab-separated-values");
+    else downloadFile(`${name}.csv`, exportDelimited(list, ","), "text/csv");
+  };
+
+  // ---------- Profiles ----------
+  const selectProfile = (profileId) => {
+    setActiveProfileId(profileId);
+    setActiveDeckId(null);
+    setScreen("home");
+  };
+
+  const addProfile = () => {
+    const name = newProfileName.trim();
+    if (!name) return;
+    const profile = { id: uid(), name, color: newProfileColor, progress: {} };
+    queueWrite("POST", "/profiles", profile);
+    setProfiles((ps) => [...ps, profile]);
+    setNewProfileName("");
+    setNewProfileColor(AVATAR_COLORS[(profiles.length + 1) % AVATAR_COLORS.length]);
+  };
+
+  const deleteProfile = (profileId) => {
+    const profile = profiles.find((p) => p.id === profileId);
+    if (!profile || !window.confirm(`Delete ${profile.name} and all of their progress?`)) return;
+    queueWrite("DELETE", `/profiles/${profileId}`);
+    setProfiles((ps) => ps.filter((p) => p.id !== profileId));
+    if (activeProfileId === profileId) setActiveProfileId(null);
+  };
 
   // ---------- Deck create/edit ----------
   const startModeChooser = (deckId) => {
     setActiveDeckId(deckId);
+    setShareOpen(false);
     setScreen("mode");
   };
 
@@ -586,6 +1136,8 @@ export default function App() {
     if (!original) return;
     setDraftDeck(JSON.parse(JSON.stringify(original)));
     setIsNewDeck(false);
+    setBulkOpen(false);
+    resetCardTools();
     setScreen("editor");
   };
 
@@ -593,6 +1145,8 @@ export default function App() {
     const newDeck = { id: uid(), name: "New Deck", cards: [] };
     setDraftDeck(newDeck);
     setIsNewDeck(true);
+    setBulkOpen(false);
+    resetCardTools();
     setActiveDeckId(newDeck.id);
     setScreen("editor");
     // focus handled after render by focusing the just-added card input (see refs below)
@@ -656,14 +1210,180 @@ const addDraftCard = () => {
     });
   };
 
-  const updateDraftCard = (cid, patch) => {
-    if (!draftDeck) return;
-    setDraftDeck({
-      ...draftDeck,
+  // ---- Undo / redo ----
+  // Every change to the draft records the previous version, except the undo/redo itself
+  const prevDraft = useRef(/** @type {Deck|null} */(null));
+  const skipHistory = useRef(false);
+  useEffect(() => {
+    const prev = prevDraft.current;
+    prevDraft.current = draftDeck;
+    if (!draftDeck || !prev || prev.id !== draftDeck.id) {
+      setEditHistory(emptyHistory());
+    } else if (skipHistory.current) {
+      skipHistory.current = false;
+    } else if (prev !== draftDeck) {
+      setEditHistory((h) => recordEdit(h, prev));
+    }
+  }, [draftDeck]);
+
+  const stepHistory = (step) => {
+    const result = draftDeck && step(editHistory, draftDeck);
+    if (!result) return;
+    skipHistory.current = true;
+    setEditHistory(result.history);
+    setDraftDeck(result.draft);
+  };
+  const undoDraft = () => stepHistory(undoEdit);
+  const redoDraft = () => stepHistory(redoEdit);
+
+  // Ctrl/Cmd+Z and Ctrl+Shift+Z / Ctrl+Y, outside text fields (those keep their own undo)
+  const undoKeysRef = useRef({ undoDraft, redoDraft });
+  undoKeysRef.current = { undoDraft, redoDraft };
+  useEffect(() => {
+    if (screen !== "editor") return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) undoKeysRef.current.undoDraft();
+      else if (key === "y" || (key === "z" && e.shiftKey)) undoKeysRef.current.redoDraft();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [screen]);
+
+  // ---- Card order and selection ----
+  const resetCardTools = () => {
+    setSelectMode(false);
+    setSelectedCards(new Set());
+    setDraftTransfers([]);
+  };
+
+  const toggleSelected = (cid) => setSelectedCards((prev) => {
+    const next = new Set(prev);
+    if (next.has(cid)) next.delete(cid);
+    else next.add(cid);
+    return next;
+  });
+
+  // Sorting leaves the blank "next card" at the end
+  const sortDraft = (by) => setDraftDeck((prev) => {
+    const filled = prev.cards.filter((c) => c.front.trim());
+    const schedule = progressFor(prev.id).schedule;
+    return { ...prev, cards: [...sortCards(filled, by, schedule), ...prev.cards.filter((c) => !c.front.trim())] };
+  });
+
+  // Pointer events with capture, so the same handle works for mouse, pen and touch
+  const dragPointerMove = (e, cid) => {
+    if (dragCardId !== cid) return;
+    const over = document.elementFromPoint(e.clientX, e.clientY)?.closest("[data-card-id]");
+    const toId = over?.getAttribute("data-card-id");
+    if (toId && toId !== cid) setDraftDeck((prev) => ({ ...prev, cards: moveCard(prev.cards, cid, toId) }));
+  };
+
+  const selectedDraftCards = () => draftDeck.cards.filter((c) => selectedCards.has(c.id) && c.front.trim());
+
+  const deleteSelected = () => {
+    if (!window.confirm(`Remove ${selectedCards.size} card${selectedCards.size === 1 ? "" : "s"}?`)) return;
+    setDraftDeck((prev) => ({ ...prev, cards: prev.cards.filter((c) => !selectedCards.has(c.id)) }));
+    setSelectedCards(new Set());
+  };
+
+  const duplicateSelected = () => {
+    setDraftDeck((prev) => ({ ...prev, cards: duplicateCards(prev.cards, selectedCards, uid) }));
+    setSelectedCards(new Set());
+  };
+
+  const transferSelected = (deckId, move) => {
+    const cards = copyCards(selectedDraftCards(), selectedCards, uid);
+    if (!deckId || !cards.length) return;
+    setDraftTransfers((ts) => ts.some((t) => t.deckId === deckId)
+      ? ts.map((t) => (t.deckId === deckId ? { ...t, cards: [...t.cards, ...cards] } : t))
+      : [...ts, { deckId, cards }]);
+    if (move) setDraftDeck((prev) => ({ ...prev, cards: prev.cards.filter((c) => !selectedCards.has(c.id)) }));
+    setSelectedCards(new Set());
+  };
+
+  // ---- Bulk entry ----
+  const bulkRows = () => (draftDeck ? previewBulk(autoFillBacks(parseBulkText(bulkText), bulkAutoBack), draftDeck.cards) : []);
+
+  const addBulkCards = () => {
+    const cards = bulkRows()
+      .filter((r) => !bulkSkipFlagged || !r.flag)
+      .map(({ card }) => ({ id: uid(), front: card.front, back: card.back || "", hint: card.hint || "" }));
+    if (!cards.length) return;
+    // the new cards replace the trailing blank card the editor keeps around
+    setDraftDeck((prev) => ({ ...prev, cards: [...prev.cards.filter((c) => c.front || c.back || c.hint), ...cards] }));
+    setBulkText("");
+    setBulkOpen(false);
+  };
+
+  const updateDraftCard = (cid, patch) => {
+    if (!draftDeck) return;
+    setDraftDeck({
+      ...draftDeck,
       cards: draftDeck.cards.map((c) => (c.id === cid ? { ...c, ...patch } : c)),
     });
   };
 
+  // ---- Recorded audio ----
+  const recorderRef = useRef(null);
+  const draftAudio = useRef(new Set()); // clips uploaded during this edit
+  const [recordingCardId, setRecordingCardId] = useState(null);
+
+  const startRecording = async (cid) => {
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+      alert('Recording is not supported in this browser.');
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+      recorder.onstop = async () => {
+        stream.getTracks().forEach((t) => t.stop());
+        recorderRef.current = null;
+        setRecordingCardId(null);
+        try {
+          const url = await uploadAudio(new Blob(chunks, { type: recorder.mimeType }));
+          draftAudio.current.add(url);
+          setDraftDeck((prev) => prev && { ...prev, cards: prev.cards.map((c) => (c.id === cid ? { ...c, audioUrl: url } : c)) });
+        } catch (e) {
+          alert(`Couldn't save the recording: ${e.message}`);
+        }
+      };
+      recorder.start();
+      recorderRef.current = recorder;
+      setRecordingCardId(cid);
+      // keep clips short (the server caps them at 2 MB)
+      setTimeout(() => { if (recorder.state === "recording") recorder.stop(); }, 10000);
+    } catch (e) {
+      console.error('Recording error:', e);
+      alert('Could not start recording. Check microphone permissions.');
+    }
+  };
+
+  const stopRecording = () => recorderRef.current?.stop();
+
+  // ---- Picture cards ----
+  const [uploadingImage, setUploadingImage] = useState(/** @type {string|null} */(null)); // "<cardId>:<side>"
+
+  const pickCardImage = async (cid, side, file) => {
+    if (!file) return;
+    const field = side === "front" ? "frontImage" : "backImage";
+    setUploadingImage(`${cid}:${side}`);
+    try {
+      const url = await uploadCardImage(file);
+      setDraftDeck((prev) => prev && { ...prev, cards: prev.cards.map((c) => (c.id === cid ? { ...c, [field]: url } : c)) });
+    } catch (e) {
+      alert(`Couldn't upload the picture: ${e.message}`);
+    } finally {
+      setUploadingImage(null);
+    }
+  };
+
   const removeDraftCard = (cid) => {
     if (!draftDeck) return;
     setDraftDeck({
@@ -672,27 +1392,51 @@ const addDraftCard = () => {
     });
   };
 
-  const saveDraft = async () => {
+  const saveDraft = () => {
     if (!draftDeck) return;
     const clean = {
       ...draftDeck,
       name: (draftDeck.name || "").trim() || "Untitled Deck",
+      category: (draftDeck.category || "").trim() || undefined,
+      tags: parseTags((draftDeck.tags || []).join(",")),
       cards: (draftDeck.cards || []).map((c) => ({
         id: c.id || uid(),
         front: (c.front || "").trim(),
         back: (c.back || "").trim() || undefined,
         hint: (c.hint || "").trim() || undefined,
+        say: (c.say || "").trim() || undefined,
+        audioUrl: c.audioUrl || undefined,
+        frontImage: c.frontImage || undefined,
+        backImage: c.backImage || undefined,
       })).filter((c) => c.front.length > 0),
     };
 
+    const original = decks.find((d) => d.id === clean.id);
+    const baseRev = original?.rev || 0;
+    clean.rev = baseRev + 1;
+    clean.updatedAt = Date.now();
     if (isNewDeck) {
-      const created = await api("POST", "/decks", clean);
-      if (created?.id && created.id !== clean.id) clean.id = created.id;
+      queueWrite("POST", "/decks", clean);
       setDecks((ds) => [...ds, clean]);
     } else {
-      await api("PUT", `/decks/${clean.id}`, clean);
+      queueWrite("PUT", `/decks/${clean.id}`, clean, { baseRev });
       setDecks((ds) => ds.map((d) => (d.id === clean.id ? clean : d)));
     }
+    // cards moved or copied to other decks while editing
+    const targets = draftTransfers.flatMap(({ deckId, cards }) => {
+      const target = decks.find((d) => d.id === deckId && d.id !== clean.id);
+      if (!target) return [];
+      const updated = { ...target, cards: [...target.cards, ...cards], rev: (target.rev || 0) + 1, updatedAt: Date.now() };
+      queueWrite("PUT", `/decks/${target.id}`, updated, { baseRev: target.rev || 0 });
+      return [updated];
+    });
+    if (targets.length) setDecks((ds) => ds.map((d) => targets.find((t) => t.id === d.id) || d));
+    setRevisions((r) => [clean, ...targets].reduce((acc, d) => addRevision(acc, d), r));
+    // clips recorded while editing but replaced or removed before saving
+    const saved = new Set([clean, ...targets].flatMap((d) => d.cards.map((c) => c.audioUrl)));
+    releaseAudio([...draftAudio.current].filter((url) => !saved.has(url)));
+    draftAudio.current.clear();
+    resetCardTools();
     setActiveDeckId(clean.id);
     setDraftDeck(null);
     setIsNewDeck(false);
@@ -700,6 +1444,9 @@ const addDraftCard = () => {
   };
 
   const discardDraft = () => {
+    releaseAudio([...draftAudio.current]);
+    draftAudio.current.clear();
+    resetCardTools();
     setDraftDeck(null);
     if (isNewDeck) {
       setIsNewDeck(false);
@@ -710,15 +1457,129 @@ const addDraftCard = () => {
     }
   };
 
-  const deleteDeck = async (deckId) => {
-    if (!window.confirm("Delete this deck?")) return;
-    await api("DELETE", `/decks/${deckId}`);
+  const deleteDeck = (deckId) => {
+    const deck = decks.find((x) => x.id === deckId);
+    if (!window.confirm(`Move “${deck?.name || "this deck"}” to the trash? You can restore it for ${TRASH_DAYS} days.`)) return;
+    queueWrite("DELETE", `/decks/${deckId}`);
+    setConflicts((cs) => cs.filter((c) => c.deck.id !== deckId));
+    if (deck) setTrash((t) => pruneTrash(trashDeck(t, deck)));
+    // the deck's own clips stay until it leaves the trash; only unsaved recordings go now
+    releaseAudio([...draftAudio.current]);
+    draftAudio.current.clear();
     setDecks((d) => d.filter((x) => x.id !== deckId));
     if (activeDeckId === deckId) setActiveDeckId(null);
     setDraftDeck(null);
     setScreen("home");
   };
 
+  // ---------- Revisions and trash ----------
+  const openRevisions = async () => {
+    if (!activeDeck) return;
+    setServerRevisions([]);
+    setExpandedRevisionId(null);
+    setScreen("revisions");
+    const list = await api("GET", `/decks/${activeDeck.id}/revisions`);
+    if (Array.isArray(list)) setServerRevisions(list);
+  };
+
+  // Open an old version in the editor; saving it makes it the newest revision
+  const restoreRevision = (revision) => {
+    if (!activeDeck) return;
+    setDraftDeck({ ...JSON.parse(JSON.stringify(revision.deck)), id: activeDeck.id, rev: activeDeck.rev });
+    setIsNewDeck(false);
+    setBulkOpen(false);
+    resetCardTools();
+    setScreen("editor");
+  };
+
+  const openTrash = async () => {
+    setTrash((t) => pruneTrash(t));
+    setServerTrash([]);
+    setScreen("trash");
+    const list = await api("GET", "/trash");
+    if (Array.isArray(list)) setServerTrash(list);
+  };
+
+  // Local and server trash together, newest first, without decks that are back in the library
+  const trashEntries = () => {
+    const byId = new Map();
+    for (const t of pruneTrash([...serverTrash, ...trash])) {
+      const prev = byId.get(t.deck.id);
+      if (!prev || t.deletedAt > prev.deletedAt) byId.set(t.deck.id, t);
+    }
+    return [...byId.values()].filter((t) => !decks.some((d) => d.id === t.deck.id)).sort((a, b) => b.deletedAt - a.deletedAt);
+  };
+
+  const restoreDeck = (entry) => {
+    const deck = { ...entry.deck, rev: (entry.deck.rev || 0) + 1, updatedAt: Date.now() };
+    queueWrite("POST", "/decks", deck);
+    setDecks((ds) => [...ds, deck]);
+    setRevisions((r) => addRevision(r, deck));
+    setTrash((t) => t.filter((x) => x.deck.id !== deck.id));
+    setServerTrash((t) => t.filter((x) => x.deck.id !== deck.id));
+  };
+
+  const purgeDeck = (entry) => {
+    if (!window.confirm(`Delete “${entry.deck.name}” for good? This can't be undone.`)) return;
+    const id = entry.deck.id;
+    queueWrite("DELETE", `/trash/${id}`);
+    const nextTrash = trash.filter((x) => x.deck.id !== id);
+    const nextRevisions = { ...revisions };
+    delete nextRevisions[id];
+    setTrash(nextTrash);
+    setServerTrash((t) => t.filter((x) => x.deck.id !== id));
+    setRevisions(nextRevisions);
+    // its clips are deleted by the server when the trash entry goes
+  };
+
+  // ---------- Learning paths (curricula) ----------
+  const newCurriculum = () => {
+    setDraftCurriculum({ id: uid(), name: "New learning path", steps: [] });
+    setIsNewCurriculum(true);
+    setScreen("curriculum");
+  };
+
+  const editCurriculum = (c) => {
+    setDraftCurriculum(JSON.parse(JSON.stringify(c)));
+    setIsNewCurriculum(false);
+    setScreen("curriculum");
+  };
+
+  const saveCurriculum = () => {
+    if (!draftCurriculum) return;
+    const clean = {
+      ...draftCurriculum,
+      name: draftCurriculum.name.trim() || "Learning path",
+      rev: (draftCurriculum.rev || 0) + 1,
+      updatedAt: Date.now(),
+    };
+    if (isNewCurriculum) {
+      queueWrite("POST", "/curricula", clean);
+      setCurricula((cs) => [...cs, clean]);
+    } else {
+      queueWrite("PUT", `/curricula/${clean.id}`, clean);
+      setCurricula((cs) => cs.map((c) => (c.id === clean.id ? clean : c)));
+    }
+    setDraftCurriculum(null);
+    setScreen("home");
+  };
+
+  const deleteCurriculum = (id) => {
+    if (!window.confirm("Delete this learning path? The decks and test history stay.")) return;
+    if (!isNewCurriculum) queueWrite("DELETE", `/curricula/${id}`);
+    setCurricula((cs) => cs.filter((c) => c.id !== id));
+    setDraftCurriculum(null);
+    setScreen("home");
+  };
+
+  const updateSteps = (fn) => setDraftCurriculum((c) => ({ ...c, steps: fn(c.steps) }));
+  const moveStep = (i, delta) => updateSteps((steps) => {
+    const next = steps.slice();
+    const [step] = next.splice(i, 1);
+    next.splice(clamp(i + delta, 0, next.length), 0, step);
+    return next;
+  });
+
   const progressPct = stats.seen ? Math.round((stats.correct / stats.seen) * 100) : 0;
 
   return (
@@ -727,16 +1588,26 @@ const addDraftCard = () => {
         {/* Top bar */}
         <div className="sticky top-0 z-20 -mx-4 mb-4 flex items-center justify-between bg-gradient-to-b from-amber-50/90 to-amber-100/90 px-4 py-3 backdrop-blur">
           <div className="flex items-center gap-2">
-            {screen !== "home" ? (
+            {screen !== "home" && screen !== "profiles" ? (
               <button
                 className="rounded-2xl p-2 active:scale-95"
                 onClick={() => {
                   if (screen === "editor" && draftDeck) {
                     if (!window.confirm("Discard changes?")) return;
                     discardDraft();
-                  } else if (screen === "practice" || screen === "test" || screen === "results" || screen === "mode") {
+                  } else if (screen === "practice" || screen === "test" || screen === "listen" || screen === "results" || screen === "print" || screen === "mode") {
                     setScreen(screen === "mode" ? "home" : "mode");
                     if (screen !== "mode") setShowBack(false);
+                  } else if (screen === "history") {
+                    setScreen(historyDeckId ? "mode" : "home");
+                  } else if (screen === "import" || screen === "trash" || screen === "teacher") {
+                    setScreen("home");
+                  } else if (screen === "revisions") {
+                    setScreen("mode");
+                  } else if (screen === "curriculum") {
+                    if (!window.confirm("Discard changes?")) return;
+                    setDraftCurriculum(null);
+                    setScreen("home");
                   }
                 }}
                 aria-label="Back"
@@ -749,37 +1620,41 @@ const addDraftCard = () => {
             <h1 className="text-lg font-bold">Flashcards</h1>
           </div>
           <div className="flex items-center gap-2">
-            {/* Cast button - only show on practice/test screens */}
+            {(outbox.length > 0 || conflicts.length > 0) && (
+              <button
+                onClick={() => flushOutbox()}
+                className={`flex items-center gap-1 rounded-full px-3 py-1 text-xs font-semibold shadow active:scale-95 ${conflicts.length ? "bg-amber-200 text-amber-900" : "bg-white text-slate-600"}`}
+                title="Changes not saved to the server yet — tap to retry"
+              >
+                {conflicts.length ? <AlertTriangle size={14}/> : <CloudOff size={14}/>}
+                {conflicts.length ? `${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}` : `${outbox.length} unsynced`}
+              </button>
+            )}
+            {activeProfile && screen === "home" && (
+              <button
+                onClick={() => setScreen("profiles")}
+                className="flex items-center gap-2 rounded-full bg-white py-1 pl-1 pr-3 text-sm font-semibold shadow active:scale-95"
+                title="Switch child"
+              >
+                <span className="flex h-7 w-7 items-center justify-center rounded-full text-white" style={{ backgroundColor: activeProfile.color }}>
+                  {activeProfile.name.charAt(0).toUpperCase()}
+                </span>
+                {activeProfile.name}
+              </button>
+            )}
+            {/* Cast / present buttons - only show on practice/test screens */}
             {(screen === "practice" || screen === "test") && (
               <button
-                onClick={() => {
-                  try {
-                    // eslint-disable-next-line no-undef
-                    if (window.chrome && window.chrome.cast && window.chrome.cast.requestSession) {
-                      // eslint-disable-next-line no-undef
-                      window.chrome.cast.requestSession(
-                        (session) => {
-                          console.log('Cast session started:', session);
-                          // Store the session immediately
-                          setCastSession(session);
-                          setIsCasting(true);
-                          
-                          // Send current card to TV immediately
-                          if (currentCard) {
-                            sendCardToCastWithSession(session, currentCard);
-                          }
-                        },
-                        (error) => {
-                          console.log('Cast session error:', error);
-                        }
-                      );
-                    } else {
-                      alert('Cast not available. Make sure you are using Chrome browser.');
-                    }
-                  } catch (error) {
-                    console.error('Cast error:', error);
-                  }
-                }}
+                onClick={startPresenting}
+                className={`rounded-full p-2 active:scale-95 transition ${presentRoom ? "bg-emerald-100 text-emerald-700" : "text-slate-700 hover:bg-black/10"}`}
+                title="Present on another screen"
+              >
+                <MonitorPlay/>
+              </button>
+            )}
+            {(screen === "practice" || screen === "test") && (
+              <button
+                onClick={startCasting}
                 className="rounded-full p-2 hover:bg-black/10 active:scale-95 transition"
                 title="Cast to TV"
               >
@@ -791,27 +1666,239 @@ const addDraftCard = () => {
           </div>
         </div>
 
+        {showPresentInfo && presentRoom && (
+          <div className="mb-4 space-y-2 rounded-2xl bg-white p-4 text-center shadow">
+            <div className="text-sm text-slate-600">On the projector, open</div>
+            <div className="flex items-center justify-center gap-2 break-all font-mono text-sm">
+              {presentUrl(presentRoom.code)}
+              <button onClick={() => navigator.clipboard?.writeText(presentUrl(presentRoom.code))} className="rounded-full p-1 text-slate-500 hover:bg-slate-100" aria-label="Copy link">
+                <Copy size={16}/>
+              </button>
+            </div>
+            <div className="text-sm text-slate-600">or go to /present.html and enter</div>
+            <div className="text-4xl font-extrabold tracking-widest text-amber-600">{presentRoom.code}</div>
+            <div className="flex justify-center gap-2">
+              <button onClick={() => setShowPresentInfo(false)} className="rounded-xl bg-amber-500 px-4 py-2 font-semibold text-white shadow active:scale-95">OK</button>
+              <button onClick={stopPresenting} className="rounded-xl bg-white border-2 border-slate-300 px-4 py-2 font-semibold shadow active:scale-95">Stop presenting</button>
+            </div>
+          </div>
+        )}
+
+        {unsavedKeys.size > 0 && (
+          <div className="mb-4 flex items-start gap-2 rounded-2xl bg-rose-50 p-4 text-sm text-rose-700">
+            <AlertTriangle size={18} className="mt-0.5 shrink-0"/>
+            <div>
+              This device is out of storage space, so some changes aren't being kept on it. Changes that reach the server are safe;
+              emptying the trash or deleting decks you don't use frees space here.
+            </div>
+          </div>
+        )}
+
         {/* Screens */}
+        {screen === "profiles" && (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-600">Who is learning today?</p>
+
+            <div className="grid grid-cols-2 gap-3 sm:grid-cols-3">
+              {profiles.map((p) => (
+                <div key={p.id} className="relative">
+                  <button
+                    onClick={() => selectProfile(p.id)}
+                    className={`flex w-full flex-col items-center gap-2 rounded-2xl bg-white p-4 shadow hover:shadow-md active:scale-95 ${p.id === activeProfileId ? "ring-2 ring-amber-400" : ""}`}
+                  >
+                    <span className="flex h-16 w-16 items-center justify-center rounded-full text-3xl font-bold text-white" style={{ backgroundColor: p.color }}>
+                      {p.name.charAt(0).toUpperCase()}
+                    </span>
+                    <span className="text-base font-semibold">{p.name}</span>
+                  </button>
+                  <button onClick={() => deleteProfile(p.id)} className="absolute right-2 top-2 rounded-lg p-1 text-slate-400 hover:text-rose-600" aria-label={`Delete ${p.name}`}>
+                    <Trash2 size={16}/>
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-3 rounded-2xl bg-white p-4 shadow">
+              <div className="flex items-center gap-2 text-sm font-semibold text-slate-600"><Users size={18}/> Add a child</div>
+              <input
+                className="w-full rounded-xl border-2 border-slate-200 px-4 py-3 text-base focus:border-amber-400 focus:outline-none"
+                value={newProfileName}
+                onChange={(e)=>setNewProfileName(e.target.value)}
+                onKeyDown={(e)=>{ if (e.key === "Enter") addProfile(); }}
+                placeholder="Name"
+              />
+              <div className="flex flex-wrap gap-2">
+                {AVATAR_COLORS.map((color) => (
+                  <button
+                    key={color}
+                    onClick={()=>setNewProfileColor(color)}
+                    className={`h-9 w-9 rounded-full active:scale-95 ${newProfileColor === color ? "ring-2 ring-slate-700 ring-offset-2" : ""}`}
+                    style={{ backgroundColor: color }}
+                    aria-label={`Avatar color ${color}`}
+                  />
+                ))}
+              </div>
+              <button onClick={addProfile} disabled={!newProfileName.trim()} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-amber-500 px-4 py-3 text-white shadow active:scale-95 disabled:opacity-50">
+                <Plus size={18}/> Add Child
+              </button>
+            </div>
+          </div>
+        )}
+
         {screen === "home" && (
           <div className="space-y-4">
             <p className="text-sm text-slate-600">Tap a deck to practice or test.</p>
 
-            <div className="grid grid-cols-2 gap-3">
-              {decks.map((d) => (
-                <button
-                  key={d.id}
-                  onClick={() => startModeChooser(d.id)}
-                  className="rounded-2xl bg-white p-4 text-left shadow hover:shadow-md active:scale-95"
-                >
-                  <div className="mb-1 line-clamp-2 text-base font-semibold">{d.name}</div>
-                  <div className="text-xs text-slate-500">{d.cards.length} cards</div>
-                </button>
-              ))}
-            </div>
+            {conflicts.map(({ deck, server }) => (
+              <div key={deck.id} className="space-y-2 rounded-2xl border-2 border-amber-300 bg-white p-4 shadow">
+                <div className="flex items-center gap-2 font-semibold"><AlertTriangle size={18} className="text-amber-500"/> “{deck.name}” was changed on another device</div>
+                <div className="text-xs text-slate-500">
+                  This device: {deck.cards.length} cards{deck.updatedAt ? `, saved ${new Date(deck.updatedAt).toLocaleString()}` : ""} •
+                  Server: {server.cards.length} cards{server.updatedAt ? `, saved ${new Date(server.updatedAt).toLocaleString()}` : ""}
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <button onClick={() => resolveConflict(deck.id, "mine")} className="rounded-xl bg-amber-500 px-3 py-2 text-sm font-semibold text-white active:scale-95">Keep this device's</button>
+                  <button onClick={() => resolveConflict(deck.id, "server")} className="rounded-xl bg-white border-2 border-slate-300 px-3 py-2 text-sm font-semibold active:scale-95">Use server's</button>
+                </div>
+              </div>
+            ))}
+
+            {curricula.map((c) => {
+              const progress = curriculumProgress(c, decks, sessions, activeProfileId);
+              // where every child is on this path
+              const here = profiles.map((p) => ({ p, at: currentStepIndex(curriculumProgress(c, decks, sessions, p.id)) }));
+              return (
+                <div key={c.id} className="space-y-2 rounded-2xl bg-white p-4 shadow">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2 font-semibold"><MapIcon size={18} className="text-amber-500"/> {c.name}</div>
+                    <button onClick={() => editCurriculum(c)} className="rounded-xl px-2 py-1 text-xs font-semibold text-amber-600 active:scale-95">Edit</button>
+                  </div>
+                  {progress.length === 0 ? (
+                    <div className="text-xs text-slate-500">No decks on this path yet.</div>
+                  ) : (
+                    <div className="flex items-start overflow-x-auto pb-1">
+                      {progress.map(({ deck: d, status, step, mastery }, i) => (
+                        <React.Fragment key={`${d.id}-${i}`}>
+                          {i > 0 && <div className={`mt-6 h-1 min-w-[1rem] flex-1 rounded ${status === "locked" ? "bg-slate-200" : "bg-emerald-300"}`} />}
+                          <button
+                            onClick={() => status !== "locked" && startModeChooser(d.id)}
+                            disabled={status === "locked"}
+                            className="flex w-20 shrink-0 flex-col items-center gap-1 text-center"
+                            title={`${step.goal?.percent ?? DEFAULT_GOAL.percent}% on ${step.goal?.streak ?? DEFAULT_GOAL.streak} tests in a row`}
+                          >
+                            <motion.div
+                              animate={status === "current" ? { scale: [1, 1.08, 1] } : { scale: 1 }}
+                              transition={status === "current" ? { repeat: Infinity, duration: 1.6 } : {}}
+                              className={`flex h-12 w-12 items-center justify-center rounded-full text-lg font-bold shadow ${
+                                status === "mastered" ? "bg-emerald-500 text-white" : status === "current" ? "bg-amber-400 text-white" : "bg-slate-200 text-slate-400"
+                              }`}
+                            >
+                              {status === "mastered" ? <CheckCircle2/> : status === "locked" ? <Lock size={18}/> : i + 1}
+                            </motion.div>
+                            <div className={`line-clamp-2 text-xs font-semibold ${status === "locked" ? "text-slate-400" : ""}`}>{d.name}</div>
+                            {status === "current" && mastery.scores.length > 0 && (
+                              <div className="text-[10px] text-slate-500">last {mastery.scores[mastery.scores.length - 1]}%</div>
+                            )}
+                            <div className="flex -space-x-1">
+                              {here.filter((x) => x.at === i).map(({ p }) => (
+                                <span key={p.id} className="flex h-5 w-5 items-center justify-center rounded-full border border-white text-[10px] font-bold text-white" style={{ backgroundColor: p.color }} title={p.name}>
+                                  {p.name.charAt(0).toUpperCase()}
+                                </span>
+                              ))}
+                            </div>
+                          </button>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+            <input
+              type="search"
+              className="w-full rounded-2xl border-2 border-slate-200 bg-white px-4 py-3 text-sm focus:border-amber-400 focus:outline-none"
+              placeholder="Search decks and cards…"
+              value={deckQuery}
+              onChange={(e)=>setDeckQuery(e.target.value)}
+            />
+            {allTags(decks).length > 0 && (
+              <div className="flex flex-wrap gap-2 text-xs">
+                {["", ...allTags(decks)].map((t) => (
+                  <button
+                    key={t || "all"}
+                    onClick={()=>setDeckTag(t)}
+                    className={`rounded-full px-3 py-1 font-semibold shadow active:scale-95 ${deckTag.toLowerCase() === t.toLowerCase() ? "bg-amber-500 text-white" : "bg-white text-slate-600"}`}
+                  >
+                    {t ? `#${t}` : "All"}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {(() => {
+              const groups = groupByCategory(filterDecks(decks, { query: deckQuery, tag: deckTag }));
+              if (!groups.length) return <div className="rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">No decks match.</div>;
+              const locked = new Set(decks.filter((d) => lockedBy(curricula, decks, sessions, activeProfileId, d.id)).map((d) => d.id));
+              return groups.map(({ category, items }) => (
+                <div key={category} className="space-y-2">
+                  <div className="text-sm font-bold text-slate-600">{category} <span className="font-normal text-slate-400">({items.length})</span></div>
+                  <div className="grid grid-cols-2 gap-3">
+                    {items.map(({ deck: d, cardMatches }) => (
+                      <button
+                        key={d.id}
+                        onClick={() => startModeChooser(d.id)}
+                        className="rounded-2xl border-l-8 bg-white p-4 text-left shadow hover:shadow-md active:scale-95"
+                        style={{ borderLeftColor: d.color || "transparent" }}
+                      >
+                        <div className={`mb-1 flex items-start gap-1 text-base font-semibold ${locked.has(d.id) ? "text-slate-400" : ""}`}>
+                          {locked.has(d.id) && <Lock size={14} className="mt-1 shrink-0"/>}
+                          <span className="line-clamp-2">{d.name}</span>
+                        </div>
+                        <div className="text-xs text-slate-500">
+                          {d.cards.length} cards{d.grade ? ` • ${d.grade === "PreK" || d.grade === "K" ? d.grade : `Grade ${d.grade}`}` : ""}
+                          {cardMatches > 0 && ` • ${cardMatches} matching`}
+                        </div>
+                        {d.tags?.length > 0 && (
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {d.tags.map((t) => <span key={t} className="rounded-full bg-amber-50 px-2 text-[10px] text-amber-700">#{t}</span>)}
+                          </div>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ));
+            })()}
 
             <button onClick={addDeck} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-amber-500 px-4 py-3 text-white shadow active:scale-95">
               <Plus size={18}/> New Deck
             </button>
+            <button onClick={newCurriculum} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+              <MapIcon size={18}/> New Learning Path
+            </button>
+            <button onClick={() => openHistory(null)} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+              <History size={18}/> Test History
+            </button>
+            <button onClick={openTeacher} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+              <GraduationCap size={18}/> Class View
+            </button>
+            <button onClick={openTrash} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+              <Trash2 size={18}/> Trash{trash.length ? ` (${trash.length})` : ""}
+            </button>
+            <div className="grid grid-cols-2 gap-3">
+              <button onClick={openImport} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+                <Upload size={18}/> Import
+              </button>
+              <button onClick={() => exportDecks(decks, "json")} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 font-semibold shadow active:scale-95">
+                <Download size={18}/> Export all
+              </button>
+            </div>
+            <div className="flex justify-center gap-3 text-xs text-slate-500">
+              Export all as
+              <button onClick={() => exportDecks(decks, "csv")} className="font-semibold text-amber-600">CSV</button>
+              <button onClick={() => exportDecks(decks, "tsv")} className="font-semibold text-amber-600">TSV</button>
+            </div>
           </div>
         )}
 
@@ -820,13 +1907,226 @@ const addDraftCard = () => {
             <div className="rounded-2xl bg-white p-4 shadow">
               <div className="text-lg font-bold">{activeDeck.name}</div>
               <div className="text-xs text-slate-500">{activeDeck.cards.length} cards</div>
+              {activeProfile && (() => {
+                const pr = progressFor(activeDeck.id);
+                return (
+                  <div className="mt-2 flex flex-wrap gap-2 text-xs text-slate-600">
+                    <div className="rounded-full bg-amber-50 px-2 py-1">{activeProfile.name}: practiced {pr.stats?.seen || 0}, correct {pr.stats?.correct || 0}</div>
+                    {pr.lastTest && (
+                      <div className="rounded-full bg-amber-50 px-2 py-1">Last test {pr.lastTest.correct} / {pr.lastTest.total}</div>
+                    )}
+                    {pr.listen && (
+                      <div className="rounded-full bg-amber-50 px-2 py-1">Listening {pr.listen.firstTry} / {pr.listen.rounds} first try</div>
+                    )}
+                  </div>
+                );
+              })()}
             </div>
 
+            {activeLock && (
+              <div className="space-y-3 rounded-2xl bg-slate-100 p-4 text-center">
+                <div className="flex items-center justify-center gap-2 font-semibold text-slate-600">
+                  <Lock size={18}/> Locked for {activeProfile?.name || "now"}
+                </div>
+                <div className="text-sm text-slate-600">
+                  On “{activeLock.curriculum.name}” this deck opens once {activeLock.deck.name} is mastered.
+                </div>
+                <button onClick={() => startModeChooser(activeLock.deck.id)} className="rounded-2xl bg-emerald-500 px-4 py-3 font-semibold text-white shadow active:scale-95">
+                  Go to {activeLock.deck.name}
+                </button>
+              </div>
+            )}
+
             <div className="grid grid-cols-1 gap-3">
+              {!activeLock && (<>
               <button onClick={() => setScreen("practice")} className="rounded-2xl bg-emerald-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Start Practice</button>
-              <button onClick={startTest} className="rounded-2xl bg-amber-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Start Test</button>
+              <div className="flex flex-wrap items-center justify-center gap-2 rounded-2xl bg-white px-4 py-3 text-sm shadow">
+                <Timer size={16} className="text-slate-500"/>
+                <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={testTimer.mode} onChange={(e)=>setTestTimer({ mode: e.target.value, seconds: e.target.value === "card" ? 5 : 60 })}>
+                  <option value="off">No timer</option>
+                  <option value="total">Timed test</option>
+                  <option value="card">Time per card</option>
+                </select>
+                {testTimer.mode !== "off" && (
+                  <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={testTimer.seconds} onChange={(e)=>setTestTimer({ ...testTimer, seconds: Number(e.target.value) })}>
+                    {(testTimer.mode === "card" ? [3, 5, 10] : [30, 60, 120]).map((n) => <option key={n} value={n}>{n} seconds</option>)}
+                  </select>
+                )}
+              </div>
+              <button onClick={() => startTest(null, "self")} className="rounded-2xl bg-amber-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Start Test</button>
+              {canChoiceTest(activeDeck) && (
+                <button onClick={() => startTest(null, "choice")} className="rounded-2xl bg-amber-400 px-4 py-4 text-white font-semibold shadow active:scale-95">Multiple Choice Test</button>
+              )}
+              {distinctFronts(activeDeck) >= 4 && (
+                <button onClick={startListening} className="flex items-center justify-center gap-2 rounded-2xl bg-sky-500 px-4 py-4 text-white font-semibold shadow active:scale-95"><Ear size={18}/> Listening</button>
+              )}
+              </>)}
+              <button onClick={() => openHistory(activeDeck.id)} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95"><History size={18}/> Test History</button>
               <button onClick={() => startEditDeck(activeDeck.id)} className="rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95">✏️ Edit Deck</button>
+              <button onClick={openRevisions} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95"><GitCompare size={18}/> Versions</button>
+              <button onClick={() => setScreen("print")} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95"><Printer size={18}/> Print Cards</button>
+              <button onClick={openShare} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95"><Share2 size={18}/> Share</button>
+            </div>
+
+            {shareOpen && (
+              <div className="space-y-3 rounded-2xl bg-white p-4 text-center shadow">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2 font-semibold"><Share2 size={18} className="text-amber-500"/> Share “{activeDeck.name}”</div>
+                  <button onClick={() => setShareOpen(false)} className="text-sm text-slate-500">Close</button>
+                </div>
+                {!shareLink ? (
+                  !shareError && <div className="text-sm text-slate-500">Making a link…</div>
+                ) : (() => {
+                  let qr = null;
+                  try {
+                    qr = encodeQr(shareLink.url);
+                  } catch {
+                    // too long for a QR code; the short code below fixes that
+                  }
+                  return (
+                    <>
+                      {qr ? (
+                        <svg viewBox={`0 0 ${qr.size + 8} ${qr.size + 8}`} className="mx-auto h-56 w-56 rounded-lg bg-white" shapeRendering="crispEdges" role="img" aria-label="QR code for the share link">
+                          <rect width="100%" height="100%" fill="#fff"/>
+                          <path d={qrPath(qr)} fill="#0f172a"/>
+                        </svg>
+                      ) : (
+                        <div className="text-sm text-slate-500">This deck is too big for a QR code — get a short code instead.</div>
+                      )}
+                      {shareLink.code && <div className="text-3xl font-extrabold tracking-widest text-amber-600">{shareLink.code}</div>}
+                      <div className="flex items-center gap-2 rounded-xl bg-slate-50 px-3 py-2 text-left font-mono text-xs">
+                        <span className="min-w-0 flex-1 truncate">{shareLink.url}</span>
+                        <button onClick={() => navigator.clipboard?.writeText(shareLink.url)} className="rounded-full p-1 text-slate-500 hover:bg-slate-100" aria-label="Copy link"><Copy size={16}/></button>
+                      </div>
+                      <div className="flex flex-wrap justify-center gap-2">
+                        <button onClick={sendShareLink} className="rounded-xl bg-amber-500 px-4 py-2 font-semibold text-white shadow active:scale-95">{navigator.share ? "Send…" : "Copy link"}</button>
+                        {!shareLink.code && (
+                          <button onClick={makeShareCode} className="rounded-xl border-2 border-slate-300 bg-white px-4 py-2 font-semibold shadow active:scale-95">Use a short code</button>
+                        )}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        {shareLink.code
+                          ? "The code keeps this version of the deck; later edits need a new share."
+                          : "The whole deck is in the link, so it works without an account. Pictures and recordings still load from this server."}
+                      </div>
+                    </>
+                  );
+                })()}
+                {shareError && <div className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{shareError}</div>}
+              </div>
+            )}
+
+            <div className="flex items-center justify-center gap-3 text-sm text-slate-600">
+              <Download size={16}/> Export
+              {["csv", "tsv", "json"].map((f) => (
+                <button key={f} onClick={() => exportDecks([activeDeck], f)} className="rounded-xl bg-white px-3 py-1 font-semibold uppercase shadow active:scale-95">{f}</button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {screen === "print" && activeDeck && <PrintSheets deck={activeDeck} />}
+
+        {screen === "import" && (
+          <div className="space-y-4">
+            {importShared && (
+              <div className="space-y-1 rounded-2xl bg-amber-50 p-4 shadow">
+                <div className="font-semibold">🎁 “{importShared}” was shared with you</div>
+                <div className="text-sm text-slate-600">
+                  {importTarget && importDecks?.[0]?.id === importTarget
+                    ? "You already have this deck, so only its new cards will be added. Choose “a new deck” below to keep a separate copy instead."
+                    : "Check the cards below, then add it to your library."}
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-3 rounded-2xl bg-white p-4 shadow">
+              <div className="text-sm font-semibold text-slate-600">Import decks</div>
+              <div className="text-xs text-slate-500">
+                CSV or TSV with front, back, hint columns (a header row and a "deck" column are optional), or a JSON export.
+              </div>
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,application/json"
+                onChange={(e)=>readImportFile(e.target.files?.[0])}
+                className="block w-full text-sm"
+              />
+              {importError && <div className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{importError}</div>}
             </div>
+
+            {importDecks && (
+              <>
+                <div className="flex flex-wrap items-center gap-4 rounded-2xl bg-white p-4 text-sm shadow">
+                  {importDecks.length === 1 && (
+                    <label className="flex items-center gap-2">Add to
+                      <select
+                        className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1 focus:border-amber-400 focus:outline-none"
+                        value={importTarget}
+                        onChange={(e)=>setImportTarget(e.target.value)}
+                      >
+                        <option value="">a new deck</option>
+                        {decks.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                      </select>
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={skipDuplicates} onChange={(e)=>setSkipDuplicates(e.target.checked)} /> Skip duplicate cards
+                  </label>
+                </div>
+
+                {importDecks.map((d, i) => {
+                  const existing = importTarget ? decks.find((x) => x.id === importTarget)?.cards || [] : [];
+                  const dups = findDuplicates(d.cards, existing);
+                  const count = importCardsFor(d).length;
+                  return (
+                    <div key={i} className="space-y-3 rounded-2xl bg-white p-4 shadow">
+                      {importTarget ? (
+                        <div className="font-semibold">{d.cards.length} cards</div>
+                      ) : (
+                        <input
+                          className="w-full rounded-xl border-2 border-slate-200 px-3 py-2 font-bold focus:border-amber-400 focus:outline-none"
+                          value={d.name}
+                          onChange={(e)=>setImportDecks(importDecks.map((x, j) => (j === i ? { ...x, name: e.target.value } : x)))}
+                        />
+                      )}
+                      <div className="text-xs text-slate-500">{count} of {d.cards.length} cards will be imported</div>
+                      {dups.length > 0 && (
+                        <div className="rounded-xl bg-amber-50 px-3 py-2 text-sm">
+                          <div className="font-semibold text-amber-800">{dups.length} duplicate{dups.length === 1 ? "" : "s"}</div>
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {dups.map((x, k) => (
+                              <span key={k} className="rounded-full bg-white px-2 py-0.5 text-xs">
+                                {x.front} <span className="text-slate-400">({x.reason === "existing" ? "already in deck" : "repeated"})</span>
+                              </span>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      <div className="max-h-64 overflow-auto">
+                        <table className="w-full text-left text-sm">
+                          <thead className="text-xs text-slate-500">
+                            <tr><th className="py-1">Front</th><th>Back</th><th>Hint</th></tr>
+                          </thead>
+                          <tbody>
+                            {d.cards.map((c, k) => (
+                              <tr key={k} className="border-t border-slate-100">
+                                <td className="py-1 font-semibold">{c.front}</td>
+                                <td>{c.back || ""}</td>
+                                <td className="text-slate-500">{c.hint || ""}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  );
+                })}
+
+                <button onClick={confirmImport} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-emerald-500 px-4 py-3 font-semibold text-white shadow active:scale-95">
+                  <Upload size={18}/> Import {importDecks.length === 1 ? "deck" : `${importDecks.length} decks`}
+                </button>
+              </>
+            )}
           </div>
         )}
 
@@ -835,7 +2135,9 @@ const addDraftCard = () => {
             <div className="flex items-center justify-between">
               <div>
                 <div className="text-sm font-semibold">{activeDeck.name} • Practice</div>
-                <div className="text-xs text-slate-500">Card {currentIdx + 1} / {queue.length}</div>
+                <div className="text-xs text-slate-500">
+                  {practiceScope === "due" && !focusCardIds ? `${queue.length} due today` : `Card ${currentIdx + 1} / ${queue.length}`}
+                </div>
               </div>
               <div className="flex items-center gap-2 text-xs text-slate-600">
                 <div className="rounded-full bg-white px-2 py-1 shadow">Seen {stats.seen}</div>
@@ -844,28 +2146,83 @@ const addDraftCard = () => {
               </div>
             </div>
 
+            {focusCardIds ? (
+              <div className="flex items-center justify-between rounded-2xl bg-white px-4 py-2 text-sm shadow">
+                <span className="font-semibold">Practicing {focusCardIds.length} missed {focusCardIds.length === 1 ? "card" : "cards"}</span>
+                <button onClick={()=>setFocusCardIds(null)} className="rounded-xl px-3 py-1 font-semibold text-amber-600 active:scale-95">Whole deck</button>
+              </div>
+            ) : (
+              <div className="grid grid-cols-3 gap-2 rounded-2xl bg-white p-1 text-sm font-semibold shadow">
+                <button onClick={()=>setPracticeScope("due")} className={`rounded-xl px-3 py-2 ${practiceScope === "due" ? "bg-amber-500 text-white" : ""}`}>Due today</button>
+                <button onClick={()=>setPracticeScope("all")} className={`rounded-xl px-3 py-2 ${practiceScope === "all" ? "bg-amber-500 text-white" : ""}`}>All cards</button>
+                <button onClick={()=>setPracticeScope("order")} className={`rounded-xl px-3 py-2 ${practiceScope === "order" ? "bg-amber-500 text-white" : ""}`}>In order</button>
+              </div>
+            )}
+
+            {!currentCard && (
+              <div className="space-y-3 rounded-3xl bg-white p-6 text-center shadow-lg">
+                <div className="text-2xl font-extrabold text-emerald-600">All caught up! 🌟</div>
+                <div className="text-sm text-slate-600">No more cards are due today in this deck.</div>
+                <button onClick={()=>setPracticeScope("all")} className="rounded-2xl bg-emerald-500 px-4 py-3 font-semibold text-white shadow active:scale-95">Keep practicing all cards</button>
+              </div>
+            )}
+
             {/* Card */}
-            <AnimatePresence mode="wait">
-              <motion.div
-                key={(currentCard?.id || "") + String(showBack)}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -20 }}
-                className="select-none rounded-3xl bg-white p-6 text-center shadow-lg"
-                onClick={flip}
-              >
-                <div
-                  className="mx-auto max-w-full break-words"
-                  style={{ fontSize: `${Math.round(48 * fontScale)}px`, lineHeight: 1.1 }}
+            {currentCard && (
+              <AnimatePresence mode="wait">
+                <motion.div
+                  key={(currentCard?.id || "") + String(showBack)}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  className="relative select-none rounded-3xl bg-white p-6 text-center shadow-lg"
+                  onClick={flip}
                 >
-                  {uppercase ? (showBack ? (currentCard?.back || currentCard?.front || "").toUpperCase() : (currentCard?.front || "").toUpperCase()) : (showBack ? (currentCard?.back || currentCard?.front) : currentCard?.front)}
-                </div>
-                {(currentCard?.hint && !showBack && showHints) && (
-                  <div className="mt-2 text-sm text-slate-500">Hint: {currentCard.hint}</div>
-                )}
-                <div className="mt-4 text-xs text-slate-400">Tap card to flip</div>
-              </motion.div>
-            </AnimatePresence>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); downloadCardPng(currentCard, showBack ? "back" : "front"); }}
+                    className="absolute left-3 top-3 rounded-full p-2 text-slate-400 hover:bg-slate-100 active:scale-95"
+                    aria-label="Download card as PNG"
+                    title="Download card as PNG"
+                  >
+                    <Download size={18}/>
+                  </button>
+                  {(deckSpeech.enabled || currentCard.audioUrl) && (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); sayCard(currentCard, showBack ? "back" : "front"); }}
+                      className="absolute right-3 top-3 rounded-full p-2 text-slate-500 hover:bg-slate-100 active:scale-95"
+                      aria-label="Read aloud"
+                    >
+                      <Volume2/>
+                    </button>
+                  )}
+                  {(showBack ? currentCard.backImage : currentCard.frontImage) && (
+                    <img
+                      src={showBack ? currentCard.backImage : currentCard.frontImage}
+                      alt=""
+                      draggable={false}
+                      className="mx-auto mb-4 max-h-64 max-w-full rounded-2xl object-contain"
+                    />
+                  )}
+                  <div
+                    className="mx-auto max-w-full break-words"
+                    style={{ fontSize: `${Math.round(48 * fontScale)}px`, lineHeight: 1.1 }}
+                  >
+                    {uppercase ? (showBack ? (currentCard?.back || currentCard?.front || "").toUpperCase() : (currentCard?.front || "").toUpperCase()) : (showBack ? (currentCard?.back || currentCard?.front) : currentCard?.front)}
+                  </div>
+                  {(currentCard?.hint && !showBack && showHints) && (
+                    <div className="mt-2 flex items-center justify-center gap-1 text-sm text-slate-500">
+                      Hint: {currentCard.hint}
+                      {deckSpeech.enabled && (
+                        <button onClick={(e) => { e.stopPropagation(); sayCard(currentCard, "hint"); }} className="rounded-full p-1 hover:bg-slate-100" aria-label="Read hint aloud">
+                          <Volume2 size={16}/>
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  <div className="mt-4 text-xs text-slate-400">Tap card to flip</div>
+                </motion.div>
+              </AnimatePresence>
+            )}
 
             <div className="grid grid-cols-2 gap-3">
               <button onClick={shuffleNow} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 shadow active:scale-95">
@@ -876,15 +2233,17 @@ const addDraftCard = () => {
               </button>
             </div>
 
-            <div className="grid grid-cols-3 gap-3">
-              <button onClick={flip} className="rounded-2xl bg-white px-4 py-5 text-base font-semibold shadow active:scale-95">Reveal</button>
-              <button onClick={()=>nextPractice(false)} className="flex items-center justify-center gap-2 rounded-2xl bg-rose-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
-                <RotateCcw/> Wrong
-              </button>
-              <button onClick={()=>nextPractice(true)} className="flex items-center justify-center gap-2 rounded-2xl bg-emerald-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
-                <CheckCircle2/> Got it
-              </button>
-            </div>
+            {currentCard && (
+              <div className="grid grid-cols-3 gap-3">
+                <button onClick={flip} className="rounded-2xl bg-white px-4 py-5 text-base font-semibold shadow active:scale-95">Reveal</button>
+                <button onClick={()=>nextPractice(false)} className="flex items-center justify-center gap-2 rounded-2xl bg-rose-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
+                  <RotateCcw/> Wrong
+                </button>
+                <button onClick={()=>nextPractice(true)} className="flex items-center justify-center gap-2 rounded-2xl bg-emerald-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
+                  <CheckCircle2/> Got it
+                </button>
+              </div>
+            )}
 
             <div className="rounded-2xl bg-white p-3 shadow">
               <div className="flex flex-wrap items-center gap-4 text-sm">
@@ -904,74 +2263,292 @@ const addDraftCard = () => {
 
         {screen === "test" && activeDeck && (
           <div className="space-y-4">
-            <div className="text-sm font-semibold">{activeDeck.name} • Test</div>
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-semibold">{activeDeck.name} • {testKind === "choice" ? "Multiple Choice Test" : "Test"}</div>
+              {runTimer.mode !== "off" && (
+                <div className={`flex items-center gap-1 rounded-full px-3 py-1 text-sm font-bold shadow ${timeLeft() <= 5 ? "bg-rose-100 text-rose-700" : "bg-white text-slate-700"}`}>
+                  <Timer size={14}/> {timeLeft()}s
+                </div>
+              )}
+            </div>
             {/* progress bar */}
             <div className="h-2 w-full rounded-full bg-amber-200 overflow-hidden">
               <div className="h-full bg-emerald-500" style={{ width: `${Math.round(((testIdx) / testQueue.length) * 100)}%` }} />
             </div>
 
-            <AnimatePresence mode="wait">
-              <motion.div
-                key={(currentTestCard?.id || "") + String(showBack)}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                exit={{ opacity: 0, y: -20 }}
-                className="select-none rounded-3xl bg-white p-6 text-center shadow-lg"
-              >
-                <div
-                  className="mx-auto max-w-full break-words"
-                  style={{ fontSize: `${Math.round(48 * fontScale)}px`, lineHeight: 1.1 }}
-                >
-                  {uppercase ? (currentTestCard?.front || "").toUpperCase() : (currentTestCard?.front)}
+            {testKind === "self" ? (
+              <>
+                <AnimatePresence mode="wait">
+                  <motion.div
+                    key={(currentTestCard?.id || "") + String(showBack)}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                    className="relative select-none rounded-3xl bg-white p-6 text-center shadow-lg"
+                  >
+                    {(deckSpeech.enabled || currentTestCard?.audioUrl) && (
+                      <button
+                        onClick={() => sayCard(currentTestCard, "front")}
+                        className="absolute right-3 top-3 rounded-full p-2 text-slate-500 hover:bg-slate-100 active:scale-95"
+                        aria-label="Read aloud"
+                      >
+                        <Volume2/>
+                      </button>
+                    )}
+                    {currentTestCard?.frontImage && (
+                      <img src={currentTestCard.frontImage} alt="" draggable={false} className="mx-auto mb-4 max-h-64 max-w-full rounded-2xl object-contain" />
+                    )}
+                    <div
+                      className="mx-auto max-w-full break-words"
+                      style={{ fontSize: `${Math.round(48 * fontScale)}px`, lineHeight: 1.1 }}
+                    >
+                      {uppercase ? (currentTestCard?.front || "").toUpperCase() : (currentTestCard?.front)}
+                    </div>
+                    <div className="mt-4 text-xs text-slate-400">Choose an answer</div>
+                  </motion.div>
+                </AnimatePresence>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <button onClick={()=>answerTest(false)} className="flex items-center justify-center gap-2 rounded-2xl bg-rose-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
+                    <RotateCcw/> Wrong
+                  </button>
+                  <button onClick={()=>answerTest(true)} className="flex items-center justify-center gap-2 rounded-2xl bg-emerald-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
+                    <CheckCircle2/> Got it
+                  </button>
                 </div>
-                <div className="mt-4 text-xs text-slate-400">Choose an answer</div>
-              </motion.div>
+              </>
+            ) : currentTestCard && (() => {
+              const prompt = choicePrompt(currentTestCard);
+              const show = (text) => (uppercase ? (text || "").toUpperCase() : text);
+              return (
+                <>
+                  <AnimatePresence mode="wait">
+                    <motion.div
+                      key={currentTestCard.id + testIdx}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -20 }}
+                      className="select-none rounded-3xl bg-white p-6 text-center shadow-lg"
+                    >
+                      {prompt.image && (
+                        <img src={prompt.image} alt="" draggable={false} className="mx-auto mb-4 max-h-48 max-w-full rounded-2xl object-contain" />
+                      )}
+                      {prompt.text && (
+                        <div className="mx-auto mb-3 max-w-full break-words" style={{ fontSize: `${Math.round(36 * fontScale)}px`, lineHeight: 1.1 }}>
+                          {show(prompt.text)}
+                        </div>
+                      )}
+                      {prompt.audible && (
+                        <button
+                          onClick={() => sayCard(currentTestCard, "front")}
+                          className="mx-auto flex items-center gap-2 rounded-full bg-amber-100 px-4 py-2 font-semibold text-amber-800 active:scale-95"
+                        >
+                          <Volume2/> Hear it again
+                        </button>
+                      )}
+                      <div className="mt-3 text-xs text-slate-400">Tap the matching card</div>
+                    </motion.div>
+                  </AnimatePresence>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    {choiceOptions.map((c) => {
+                      const isAnswer = cardKey(c.front) === cardKey(currentTestCard.front);
+                      const tone = !choicePicked
+                        ? "bg-white"
+                        : isAnswer
+                          ? "bg-emerald-500 text-white"
+                          : c.id === choicePicked
+                            ? "bg-rose-500 text-white"
+                            : "bg-white opacity-50";
+                      return (
+                        <motion.button
+                          key={c.id}
+                          onClick={() => pickChoice(c)}
+                          animate={c.id === choicePicked && !isAnswer ? { x: [0, -8, 8, -6, 6, 0] } : { x: 0 }}
+                          className={`break-words rounded-2xl px-3 py-6 font-bold shadow active:scale-95 ${tone}`}
+                          style={{ fontSize: `${Math.round(36 * fontScale)}px`, lineHeight: 1.1 }}
+                        >
+                          {show(c.front)}
+                        </motion.button>
+                      );
+                    })}
+                  </div>
+                </>
+              );
+            })()}
+          </div>
+        )}
+
+        {screen === "listen" && activeDeck && listenCard && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-semibold">{activeDeck.name} • Listening</div>
+              <label className="flex items-center gap-2 text-xs text-slate-600">Cards
+                <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={listenSize} onChange={(e)=>setListenSize(Number(e.target.value))}>
+                  {[4, 6, 9].map((n) => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="flex flex-wrap gap-2 text-xs text-slate-600">
+              <div className="rounded-full bg-white px-2 py-1 shadow">First try {listenScore.firstTry} / {listenScore.rounds}</div>
+              <div className="rounded-full bg-white px-2 py-1 shadow">Retries {listenScore.retries}</div>
+            </div>
+
+            {!speechSupported() && !listenCard.audioUrl && (
+              <div className="rounded-2xl bg-amber-100 p-3 text-sm text-amber-900">This browser can't read aloud — say the word yourself, or record audio for the cards in the editor.</div>
+            )}
+
+            <button
+              onClick={() => sayCard(listenCard, "front")}
+              className="flex w-full items-center justify-center gap-2 rounded-3xl bg-white px-4 py-6 text-lg font-semibold shadow-lg active:scale-95"
+            >
+              <Volume2/> Hear it again
+            </button>
+
+            <div className={`grid gap-3 ${listenGrid.length <= 4 ? "grid-cols-2" : "grid-cols-3"}`}>
+              {listenGrid.map((c, i) => {
+                const missed = listenMisses.includes(c.id);
+                const isAnswer = listenSolved && c.id === listenCard.id;
+                return (
+                  <motion.button
+                    key={`${listenRound}-${c.id}`}
+                    onClick={() => tapListen(c)}
+                    initial={{ opacity: 0, scale: 0.8 }}
+                    animate={
+                      isAnswer
+                        ? { opacity: 1, scale: [1, 1.15, 1] }
+                        : missed
+                          ? { opacity: 0.4, scale: 1, x: [0, -8, 8, -6, 6, 0] }
+                          : { opacity: 1, scale: 1 }
+                    }
+                    transition={{ delay: isAnswer || missed ? 0 : i * 0.04 }}
+                    className={`flex aspect-square flex-col items-center justify-center break-words rounded-2xl p-2 font-bold shadow ${isAnswer ? "bg-emerald-500 text-white" : missed ? "bg-rose-100" : "bg-white"}`}
+                    style={{ fontSize: `${Math.round((listenGrid.length <= 4 ? 40 : 30) * fontScale)}px`, lineHeight: 1.1 }}
+                  >
+                    {c.frontImage && <img src={thumbUrl(c.frontImage)} alt="" draggable={false} className="mb-1 max-h-[50%] max-w-full object-contain" />}
+                    {uppercase ? c.front.toUpperCase() : c.front}
+                  </motion.button>
+                );
+              })}
+            </div>
+
+            <AnimatePresence>
+              {listenSolved && (
+                <motion.div
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0 }}
+                  className="text-center text-2xl font-bold text-emerald-600"
+                >
+                  {listenMisses.length === 0 ? "Great listening! 🌟" : "You found it! 👍"}
+                </motion.div>
+              )}
             </AnimatePresence>
+          </div>
+        )}
 
-            <div className="grid grid-cols-2 gap-3">
-              <button onClick={()=>answerTest(false)} className="flex items-center justify-center gap-2 rounded-2xl bg-rose-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
-                <RotateCcw/> Wrong
-              </button>
-              <button onClick={()=>answerTest(true)} className="flex items-center justify-center gap-2 rounded-2xl bg-emerald-500 px-4 py-5 text-base font-semibold text-white shadow active:scale-95">
-                <CheckCircle2/> Got it
-              </button>
+        {screen === "curriculum" && draftCurriculum && (
+          <div className="space-y-4">
+            <input
+              className="w-full rounded-2xl border-2 border-slate-200 bg-white px-4 py-3 text-lg font-semibold focus:border-amber-400 focus:outline-none"
+              value={draftCurriculum.name}
+              onChange={(e)=>setDraftCurriculum({ ...draftCurriculum, name: e.target.value })}
+            />
+            <div className="text-xs text-slate-500">Decks are worked through in order; each one unlocks when the one before it meets its goal on whole-deck tests.</div>
+
+            {draftCurriculum.steps.map((step, i) => {
+              const d = decks.find((x) => x.id === step.deckId);
+              const goal = step.goal || DEFAULT_GOAL;
+              const setGoal = (patch) => updateSteps((steps) => steps.map((s, k) => (k === i ? { ...s, goal: { ...goal, ...patch } } : s)));
+              return (
+                <div key={`${step.deckId}-${i}`} className="flex flex-wrap items-center gap-2 rounded-2xl bg-white p-3 shadow">
+                  <div className="flex h-8 w-8 items-center justify-center rounded-full bg-amber-100 font-bold text-amber-700">{i + 1}</div>
+                  <div className="min-w-0 flex-1 font-semibold">{d ? d.name : <span className="text-slate-400">(deleted deck)</span>}</div>
+                  <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1 text-sm" value={goal.percent} onChange={(e)=>setGoal({ percent: Number(e.target.value) })}>
+                    {[70, 80, 90, 100].map((n) => <option key={n} value={n}>{n}%</option>)}
+                  </select>
+                  <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1 text-sm" value={goal.streak} onChange={(e)=>setGoal({ streak: Number(e.target.value) })}>
+                    {[1, 2, 3].map((n) => <option key={n} value={n}>{n === 1 ? "once" : `${n} in a row`}</option>)}
+                  </select>
+                  <button onClick={()=>moveStep(i, -1)} disabled={i === 0} className="rounded-full p-1 text-slate-500 hover:bg-slate-100 disabled:opacity-30" aria-label="Move up"><ArrowUp size={18}/></button>
+                  <button onClick={()=>moveStep(i, 1)} disabled={i === draftCurriculum.steps.length - 1} className="rounded-full p-1 text-slate-500 hover:bg-slate-100 disabled:opacity-30" aria-label="Move down"><ArrowDown size={18}/></button>
+                  <button onClick={()=>updateSteps((steps) => steps.filter((_, k) => k !== i))} className="rounded-full p-1 text-rose-500 hover:bg-rose-50" aria-label="Remove"><Trash2 size={18}/></button>
+                </div>
+              );
+            })}
+
+            <select
+              className="w-full rounded-2xl border-2 border-dashed border-slate-300 bg-white px-4 py-3 text-sm"
+              value=""
+              onChange={(e)=>e.target.value && updateSteps((steps) => [...steps, { deckId: e.target.value, goal: { ...DEFAULT_GOAL } }])}
+            >
+              <option value="">+ Add a deck…</option>
+              {decks.filter((d) => !draftCurriculum.steps.some((s) => s.deckId === d.id)).map((d) => (
+                <option key={d.id} value={d.id}>{d.category ? `${d.category} – ` : ""}{d.name}</option>
+              ))}
+            </select>
+
+            <div className="flex gap-2">
+              <button onClick={saveCurriculum} className="flex-1 rounded-2xl bg-emerald-500 px-4 py-3 font-semibold text-white shadow active:scale-95">Save</button>
+              <button onClick={()=>deleteCurriculum(draftCurriculum.id)} className="flex items-center gap-2 rounded-2xl bg-white border-2 border-slate-300 px-4 py-3 font-semibold text-rose-600 shadow active:scale-95"><Trash2 size={18}/> Delete</button>
             </div>
           </div>
         )}
 
         {screen === "results" && (() => {
-          const percentage = Math.round((testScore.correct / Math.max(1, testScore.total)) * 100);
-          let message, colorClass;
-          if (percentage === 100) {
-            message = "Perfect! 🌟";
-            colorClass = "text-emerald-600";
-          } else if (percentage >= 80) {
-            message = "Great job! 🎉";
-            colorClass = "text-emerald-500";
-          } else if (percentage >= 60) {
-            message = "Good work! 👍";
-            colorClass = "text-amber-500";
-          } else if (percentage >= 40) {
-            message = "Keep practicing! 💪";
-            colorClass = "text-amber-600";
-          } else if (percentage >= 20) {
-            message = "Nice try! Keep going! 🌱";
-            colorClass = "text-orange-500";
-          } else {
-            message = "Let's practice together! 🌈";
-            colorClass = "text-rose-400";
-          }
+          const percentage = scorePercentage(testScore);
+          const result = resultMessage(percentage);
+          const missed = missedTestCards();
+          const session = runTimer.mode !== "off" ? sessions.find((x) => x.startedAt === testStartedAt && x.deckId === activeDeck?.id) : null;
+          const slow = session ? slowestCards(testResults) : [];
           return (
             <div className="space-y-6 text-center">
               <div className="rounded-3xl bg-white p-6 shadow">
-                <div className={`text-2xl font-extrabold ${colorClass}`}>{message}</div>
+                <div className={`text-2xl font-extrabold ${RESULT_COLORS[result.tone]}`}>{result.message} {result.emoji}</div>
                 <div className="mt-2 text-lg">Score: {testScore.correct} / {testScore.total}</div>
                 <div className="mt-1 text-slate-600">That's {percentage}%</div>
               </div>
+              {session && (
+                <div className="space-y-3 rounded-3xl bg-white p-6 shadow">
+                  <div className="text-3xl font-extrabold text-sky-600">{fluencyScore(testResults, session.durationMs)}</div>
+                  <div className="text-sm text-slate-600">
+                    {fluencyUnit(testResults.map((r) => r.front))} per minute • {formatDuration(session.durationMs)}
+                    {runTimer.mode === "card" && ` • ${testResults.filter((r) => r.timedOut).length} ran out of time`}
+                  </div>
+                  {slow.length > 0 && (
+                    <>
+                      <div className="text-sm font-semibold text-slate-600">Slowest (known, but not quick yet)</div>
+                      <div className="flex flex-wrap justify-center gap-2">
+                        {slow.map((r) => (
+                          <span key={r.cardId} className="rounded-full bg-sky-100 px-3 py-1 text-lg font-semibold text-sky-800">
+                            {r.front} <span className="text-xs font-normal">{(r.ms / 1000).toFixed(1)}s</span>
+                          </span>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+              {missed.length > 0 && (
+                <div className="space-y-3 rounded-3xl bg-white p-6 shadow">
+                  <div className="text-sm font-semibold text-slate-600">Cards to work on</div>
+                  <div className="flex flex-wrap justify-center gap-2">
+                    {missed.map((c) => (
+                      <span key={c.id} className="rounded-full bg-rose-100 px-3 py-1 text-lg font-semibold text-rose-700">{c.front}</span>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-1 gap-2 sm:grid-cols-3">
+                    <button onClick={practiceMissed} className="rounded-2xl bg-emerald-500 px-4 py-3 text-white font-semibold shadow active:scale-95">Practice these</button>
+                    <button onClick={testMissed} className="rounded-2xl bg-amber-500 px-4 py-3 text-white font-semibold shadow active:scale-95">Test these</button>
+                    <button onClick={saveMissedAsDeck} className="rounded-2xl bg-white border-2 border-slate-300 px-4 py-3 font-semibold shadow active:scale-95">Save as new deck</button>
+                  </div>
+                </div>
+              )}
               <div className="grid grid-cols-1 gap-3">
-                <button onClick={startTest} className="rounded-2xl bg-amber-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Try Test Again</button>
+                <button onClick={() => startTest()} className="rounded-2xl bg-amber-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Try Test Again</button>
+                <button onClick={downloadResultsPng} className="flex items-center justify-center gap-2 rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95"><Download size={18}/> Save results picture</button>
                 {activeDeck && (
-                  <button onClick={()=>setScreen("practice")} className="rounded-2xl bg-emerald-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Go to Practice</button>
+                  <button onClick={()=>{ setFocusCardIds(null); setScreen("practice"); }} className="rounded-2xl bg-emerald-500 px-4 py-4 text-white font-semibold shadow active:scale-95">Go to Practice</button>
                 )}
                 <button onClick={()=>setScreen("mode")} className="rounded-2xl bg-white px-4 py-4 font-semibold shadow active:scale-95">Back to Deck</button>
               </div>
@@ -979,6 +2556,325 @@ const addDraftCard = () => {
           );
         })()}
 
+        {screen === "revisions" && activeDeck && (() => {
+          const list = mergeRevisions(revisions[activeDeck.id], serverRevisions);
+          return (
+            <div className="space-y-4">
+              <div>
+                <div className="text-sm font-semibold">{activeDeck.name} • Versions</div>
+                <div className="text-xs text-slate-500">Every save keeps a version. Open one to see what changed, or restore it into the editor.</div>
+              </div>
+              {list.length === 0 && (
+                <div className="rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">No saved versions yet — they start with the next save.</div>
+              )}
+              {list.map((r, i) => {
+                const older = list[i + 1];
+                const diff = diffCards(older ? older.deck.cards : [], r.deck.cards);
+                const open = expandedRevisionId === r.id;
+                const current = r.rev === (activeDeck.rev || 0);
+                return (
+                  <div key={r.id} className="rounded-2xl bg-white shadow">
+                    <button onClick={()=>setExpandedRevisionId(open ? null : r.id)} className="flex w-full items-center justify-between gap-3 p-4 text-left">
+                      <div>
+                        <div className="font-semibold">Version {r.rev}{current && <span className="ml-2 rounded-full bg-emerald-100 px-2 py-0.5 text-xs text-emerald-700">current</span>}</div>
+                        <div className="text-xs text-slate-500">{new Date(r.savedAt).toLocaleString()} • {r.deck.cards.length} cards{r.deck.name !== activeDeck.name ? ` • “${r.deck.name}”` : ""}</div>
+                      </div>
+                      <div className="flex shrink-0 gap-1 text-xs font-semibold">
+                        {diff.added > 0 && <span className="rounded-full bg-emerald-100 px-2 py-0.5 text-emerald-700">+{diff.added}</span>}
+                        {diff.removed > 0 && <span className="rounded-full bg-rose-100 px-2 py-0.5 text-rose-700">−{diff.removed}</span>}
+                        {diff.changed > 0 && <span className="rounded-full bg-amber-100 px-2 py-0.5 text-amber-700">~{diff.changed}</span>}
+                        {diff.reordered && <span className="rounded-full bg-slate-100 px-2 py-0.5 text-slate-600">reordered</span>}
+                      </div>
+                    </button>
+                    {open && (
+                      <div className="space-y-1 border-t-2 border-slate-100 p-4 text-sm">
+                        {!older && <div className="text-xs text-slate-500">Oldest version kept — every card shows as added.</div>}
+                        {diff.rows.filter((row) => row.type !== "same").map((row, k) => (
+                          <div
+                            key={k}
+                            className={`rounded-lg px-3 py-1.5 ${row.type === "added" ? "bg-emerald-50" : row.type === "removed" ? "bg-rose-50 line-through" : "bg-amber-50"}`}
+                          >
+                            {row.type === "changed" ? (
+                              <>
+                                <span className="font-semibold">{row.after.front}</span>
+                                {row.fields.map((f) => (
+                                  <span key={f} className="ml-2 text-xs text-slate-600">
+                                    {f}: <span className="line-through">{row.before[f] || "—"}</span> → {row.after[f] || "—"}
+                                  </span>
+                                ))}
+                              </>
+                            ) : (
+                              <span className="font-semibold">{(row.after || row.before).front}</span>
+                            )}
+                          </div>
+                        ))}
+                        {diff.added + diff.removed + diff.changed === 0 && (
+                          <div className="text-xs text-slate-500">No card changes{diff.reordered ? " (cards were reordered)" : ""}.</div>
+                        )}
+                        {!current && (
+                          <button onClick={()=>restoreRevision(r)} className="mt-3 flex items-center gap-2 rounded-xl bg-amber-500 px-4 py-2 font-semibold text-white shadow active:scale-95">
+                            <ArchiveRestore size={16}/> Restore this version
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })()}
+
+        {screen === "teacher" && (() => {
+          const report = classReport;
+          const pct = (x) => (x == null ? "–" : `${Math.round(x * 100)}%`);
+          const studentById = new Map((report?.students || []).map((st) => [st.id, st]));
+          const deckAccuracy = (sid) => {
+            const cells = Object.values(report.grid[sid] || {});
+            const attempts = cells.reduce((n, c) => n + c.attempts, 0);
+            return attempts ? cells.reduce((n, c) => n + c.correct, 0) / attempts : null;
+          };
+          const cardById = new Map((report?.cards || []).map((c) => [c.id, c]));
+          return (
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex items-center gap-2 text-sm font-semibold"><GraduationCap size={18} className="text-amber-500"/> Class view</div>
+                <select
+                  className="rounded-xl border-2 border-slate-200 bg-white px-3 py-2 text-sm focus:border-amber-400 focus:outline-none"
+                  value={teacherDeckId || ""}
+                  onChange={(e)=>loadClassDeck(e.target.value || null)}
+                >
+                  {decks.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                </select>
+              </div>
+
+              {classError && <div className="rounded-2xl bg-rose-50 p-4 text-sm text-rose-700">{classError}</div>}
+              {!report && !classError && <div className="rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">Loading class results…</div>}
+
+              {report && (
+                <>
+                  <div className="rounded-2xl bg-white p-4 shadow">
+                    <div className="mb-2 text-sm font-semibold text-slate-600">Students</div>
+                    <div className="grid grid-cols-1 gap-2 sm:grid-cols-2 lg:grid-cols-3">
+                      {report.students.map((st) => (
+                        <div key={st.id} className="flex items-center gap-3 rounded-xl bg-slate-50 px-3 py-2">
+                          <span className="flex h-8 w-8 items-center justify-center rounded-full font-bold text-white" style={{ backgroundColor: st.color }}>{st.name.charAt(0).toUpperCase()}</span>
+                          <div className="min-w-0 flex-1">
+                            <div className="truncate font-semibold">{st.name}</div>
+                            <div className="text-xs text-slate-500">
+                              {st.tests} test{st.tests === 1 ? "" : "s"}{st.lastActive ? ` • last ${new Date(st.lastActive).toLocaleDateString()}` : ""}
+                            </div>
+                          </div>
+                          <div className="text-sm font-bold">{pct(deckAccuracy(st.id))}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl bg-white p-4 shadow">
+                    <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                      <div className="text-sm font-semibold text-slate-600">{report.deck.name}: who knows what</div>
+                      <div className="flex items-center gap-1 text-[10px] text-slate-500">
+                        {[[null, "not seen"], [0.3, "<50%"], [0.6, "<70%"], [0.8, "<90%"], [1, "90%+"]].map(([a, label]) => (
+                          <span key={label} className="flex items-center gap-1"><span className={`inline-block h-3 w-3 rounded ${heatClass(a)}`}/>{label}</span>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="border-separate border-spacing-0.5 text-xs">
+                        <thead>
+                          <tr>
+                            <th/>
+                            {report.cards.map((c) => (
+                              <th key={c.id} className={`h-20 min-w-[1.75rem] align-bottom font-semibold ${report.trouble.includes(c.id) ? "text-rose-600" : "text-slate-600"}`}>
+                                <div className="mx-auto w-4 whitespace-nowrap [writing-mode:vertical-rl] rotate-180" title={c.front}>{c.front}</div>
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {report.students.map((st) => (
+                            <tr key={st.id}>
+                              <th className="whitespace-nowrap pr-2 text-left font-semibold">{st.name}</th>
+                              {report.cards.map((c) => {
+                                const cell = report.grid[st.id]?.[c.id];
+                                return (
+                                  <td
+                                    key={c.id}
+                                    className={`h-7 w-7 rounded ${heatClass(cell?.accuracy)}`}
+                                    title={`${st.name} • ${c.front}: ${cell?.attempts ? `${cell.correct}/${cell.attempts} right` : "not seen yet"}`}
+                                  />
+                                );
+                              })}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+
+                  <div className="rounded-2xl bg-white p-4 shadow">
+                    <div className="mb-2 text-sm font-semibold text-slate-600">Class trouble cards</div>
+                    {report.trouble.length === 0 ? (
+                      <div className="text-sm text-slate-500">No card is tripping up most of the class. 🎉</div>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        {report.trouble.map((id) => {
+                          const c = cardById.get(id);
+                          return (
+                            <div key={id} className="rounded-xl bg-rose-50 px-3 py-2">
+                              <div className="text-lg font-bold">{c.front}</div>
+                              <div className="text-xs text-slate-600">{pct(c.accuracy)} right • {c.struggling.length} of {c.students} children missing it</div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="rounded-2xl bg-white p-4 shadow">
+                    <div className="mb-2 text-sm font-semibold text-slate-600">Suggested small groups</div>
+                    {report.groups.length === 0 ? (
+                      <div className="text-sm text-slate-500">No two children are missing the same cards yet.</div>
+                    ) : (
+                      <div className="space-y-2">
+                        {report.groups.map((g, i) => (
+                          <div key={i} className="flex flex-wrap items-center gap-3 rounded-xl bg-amber-50 px-3 py-2">
+                            <div className="font-semibold">Group {i + 1}</div>
+                            <div className="flex -space-x-1">
+                              {g.studentIds.map((sid) => studentById.get(sid)).filter(Boolean).map((st) => (
+                                <span key={st.id} className="flex h-7 w-7 items-center justify-center rounded-full border-2 border-white text-xs font-bold text-white" style={{ backgroundColor: st.color }} title={st.name}>
+                                  {st.name.charAt(0).toUpperCase()}
+                                </span>
+                              ))}
+                            </div>
+                            <div className="text-sm text-slate-600">{g.studentIds.map((sid) => studentById.get(sid)?.name).filter(Boolean).join(", ")}</div>
+                            <div className="flex flex-1 flex-wrap gap-1">
+                              {g.cardIds.map((id) => <span key={id} className="rounded-full bg-white px-2 py-0.5 text-sm font-semibold">{cardById.get(id)?.front}</span>)}
+                            </div>
+                            <button onClick={()=>saveGroupAsDeck(g, i + 1)} className="rounded-xl bg-white px-3 py-1 text-sm font-semibold text-amber-600 shadow active:scale-95">Make a deck</button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })()}
+
+
+        {screen === "trash" && (() => {
+          const entries = trashEntries();
+          return (
+            <div className="space-y-4">
+              <div>
+                <div className="text-sm font-semibold">Trash</div>
+                <div className="text-xs text-slate-500">Deleted decks are kept for {TRASH_DAYS} days.</div>
+              </div>
+              {entries.length === 0 && (
+                <div className="rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">The trash is empty.</div>
+              )}
+              {entries.map((t) => (
+                <div key={t.deck.id} className="flex flex-wrap items-center gap-3 rounded-2xl bg-white p-4 shadow">
+                  <div className="min-w-0 flex-1">
+                    <div className="font-semibold">{t.deck.name}</div>
+                    <div className="text-xs text-slate-500">
+                      {t.deck.cards.length} cards • deleted {new Date(t.deletedAt).toLocaleDateString()} • {trashDaysLeft(t)} day{trashDaysLeft(t) === 1 ? "" : "s"} left
+                    </div>
+                  </div>
+                  <button onClick={()=>restoreDeck(t)} className="flex items-center gap-2 rounded-xl bg-emerald-500 px-4 py-2 font-semibold text-white shadow active:scale-95"><ArchiveRestore size={16}/> Restore</button>
+                  <button onClick={()=>purgeDeck(t)} className="rounded-xl border-2 border-slate-200 px-3 py-2 text-sm font-semibold text-rose-600 active:scale-95">Delete forever</button>
+                </div>
+              ))}
+            </div>
+          );
+        })()}
+
+
+        {screen === "history" && (() => {
+          const mine = sessions
+            .filter((x) => x.profileId === activeProfileId && (!historyDeckId || x.deckId === historyDeckId))
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+          const historyDeck = historyDeckId ? decks.find((d) => d.id === historyDeckId) : null;
+          // oldest -> newest results per card, for the trend rows
+          const trends = historyDeck ? historyDeck.cards.map((c) => ({
+            card: c,
+            marks: mine.slice().reverse().flatMap((x) => x.results.filter((r) => r.cardId === c.id).map((r) => r.correct)).slice(-8),
+          })).filter((t) => t.marks.length > 0) : [];
+          return (
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="text-sm font-semibold">{activeProfile ? `${activeProfile.name}'s tests` : "Tests"}</div>
+                <select
+                  className="rounded-xl border-2 border-slate-200 bg-white px-3 py-2 text-sm focus:border-amber-400 focus:outline-none"
+                  value={historyDeckId || ""}
+                  onChange={(e)=>setHistoryDeckId(e.target.value || null)}
+                >
+                  <option value="">All decks</option>
+                  {decks.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                </select>
+              </div>
+
+              {mine.length === 0 && (
+                <div className="rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">No tests yet — finish a test to see it here.</div>
+              )}
+
+              {trends.length > 0 && (
+                <div className="rounded-2xl bg-white p-4 shadow">
+                  <div className="mb-2 text-sm font-semibold text-slate-600">Card trends (oldest → newest)</div>
+                  <div className="space-y-1">
+                    {trends.map(({ card, marks }) => (
+                      <div key={card.id} className="flex items-center gap-3 text-sm">
+                        <div className="w-24 truncate font-semibold">{card.front}</div>
+                        <div className="flex gap-1">
+                          {marks.map((ok, i) => (
+                            <span key={i} className={`h-4 w-4 rounded-full ${ok ? "bg-emerald-500" : "bg-rose-400"}`} />
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                {mine.map((x) => {
+                  const pct = Math.round((x.correct / Math.max(1, x.total)) * 100);
+                  const isOpen = expandedSessionId === x.id;
+                  return (
+                    <div key={x.id} className="rounded-2xl bg-white p-4 shadow">
+                      <button onClick={()=>setExpandedSessionId(isOpen ? null : x.id)} className="flex w-full items-center justify-between text-left">
+                        <div>
+                          <div className="font-semibold">{x.deckName}</div>
+                          <div className="text-xs text-slate-500">{new Date(x.finishedAt).toLocaleString()} • {formatDuration(x.durationMs)}{x.kind === "choice" ? " • multiple choice" : ""}{x.timer ? ` • ${fluencyScore(x.results, x.durationMs)} ${fluencyUnit(x.results.map((r) => r.front))}/min` : ""}</div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <div className="text-right">
+                            <div className="font-bold">{x.correct} / {x.total}</div>
+                            <div className="text-xs text-slate-500">{pct}%</div>
+                          </div>
+                          {isOpen ? <ChevronUp size={18} className="text-slate-600"/> : <ChevronDown size={18} className="text-slate-600"/>}
+                        </div>
+                      </button>
+                      {isOpen && (
+                        <div className="mt-3 flex flex-wrap gap-2 border-t-2 border-slate-200 pt-3">
+                          {x.results.map((r) => (
+                            <span key={r.cardId} className={`rounded-full px-3 py-1 text-sm font-semibold ${r.correct ? "bg-emerald-100 text-emerald-700" : "bg-rose-100 text-rose-700"}`}>
+                              {r.front}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })()}
+
         {screen === "editor" && draftDeck && (
           <div className="space-y-4">
             <div className="space-y-3">
@@ -992,12 +2888,225 @@ const addDraftCard = () => {
               <div className="flex flex-wrap gap-3">
                 <button onClick={saveDraft} className="rounded-xl bg-emerald-500 px-6 py-3 font-semibold text-white shadow active:scale-95">Save changes</button>
                 <button onClick={discardDraft} className="rounded-xl bg-white border-2 border-slate-300 px-6 py-3 font-semibold shadow active:scale-95">Discard</button>
+                <button onClick={undoDraft} disabled={!editHistory.past.length} className="rounded-xl bg-white border-2 border-slate-300 px-3 py-3 shadow active:scale-95 disabled:opacity-40" aria-label="Undo" title="Undo (Ctrl+Z)"><Undo2 size={18}/></button>
+                <button onClick={redoDraft} disabled={!editHistory.future.length} className="rounded-xl bg-white border-2 border-slate-300 px-3 py-3 shadow active:scale-95 disabled:opacity-40" aria-label="Redo" title="Redo (Ctrl+Shift+Z)"><Redo2 size={18}/></button>
                 {!isNewDeck && (
                   <button onClick={()=>deleteDeck(draftDeck.id)} className="rounded-xl bg-white border-2 border-slate-300 px-6 py-3 text-rose-600 shadow active:scale-95 flex items-center gap-2 font-semibold"><Trash2 size={18}/> Delete</button>
                 )}
               </div>
             </div>
 
+            <div className="grid grid-cols-1 gap-3 rounded-2xl bg-white p-4 shadow sm:grid-cols-2">
+              <label className="flex flex-col gap-1 text-sm font-semibold text-slate-600">Category
+                <input
+                  list="deck-categories"
+                  className="rounded-xl border-2 border-slate-200 px-3 py-2 font-normal focus:border-amber-400 focus:outline-none"
+                  placeholder="e.g. Sight Words"
+                  value={draftDeck.category || ""}
+                  onChange={(e)=>setDraftDeck({ ...draftDeck, category: e.target.value })}
+                />
+                <datalist id="deck-categories">
+                  {allCategories(decks).map((c) => <option key={c} value={c} />)}
+                </datalist>
+              </label>
+              <label className="flex flex-col gap-1 text-sm font-semibold text-slate-600">Grade
+                <select
+                  className="rounded-xl border-2 border-slate-200 bg-white px-3 py-2 font-normal focus:border-amber-400 focus:outline-none"
+                  value={draftDeck.grade || ""}
+                  onChange={(e)=>setDraftDeck({ ...draftDeck, grade: e.target.value || undefined })}
+                >
+                  <option value="">—</option>
+                  {GRADES.map((g) => <option key={g} value={g}>{g}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-sm font-semibold text-slate-600">Tags (comma separated)
+                <input
+                  className="rounded-xl border-2 border-slate-200 px-3 py-2 font-normal focus:border-amber-400 focus:outline-none"
+                  placeholder="week 3, review"
+                  value={(draftDeck.tags || []).join(",")}
+                  onChange={(e)=>setDraftDeck({ ...draftDeck, tags: e.target.value.split(",") })} // raw while typing; tidied on save
+                />
+              </label>
+              <div className="flex flex-col gap-1 text-sm font-semibold text-slate-600">Color
+                <div className="flex flex-wrap gap-2">
+                  {["", ...AVATAR_COLORS].map((c) => (
+                    <button
+                      key={c || "none"}
+                      onClick={()=>setDraftDeck({ ...draftDeck, color: c || undefined })}
+                      className={`h-8 w-8 rounded-full border-2 ${(draftDeck.color || "") === c ? "border-slate-700" : "border-slate-200"}`}
+                      style={{ backgroundColor: c || "white" }}
+                      aria-label={c ? `Color ${c}` : "No color"}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 rounded-2xl bg-white p-4 shadow">
+              <div className="text-sm font-semibold text-slate-600">Card theme</div>
+              {Object.entries(THEMES).map(([key, t]) => (
+                <button
+                  key={key}
+                  onClick={()=>setDraftDeck({ ...draftDeck, theme: key })}
+                  className={`rounded-xl border-2 px-3 py-1 text-sm font-semibold ${themeFor(draftDeck.theme) === t ? "border-amber-500" : "border-transparent"}`}
+                  style={{ background: `linear-gradient(${t.top}, ${t.bottom})`, color: t.text }}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+
+            {speechSupported() && (() => {
+              const sp = speechSettings(draftDeck);
+              const setSpeech = (patch) => setDraftDeck({ ...draftDeck, speech: { ...sp, ...patch } });
+              const langVoices = voices.filter((v) => !sp.lang || v.lang.startsWith(sp.lang.split("-")[0]));
+              return (
+                <div className="space-y-3 rounded-2xl bg-white p-4 shadow">
+                  <label className="flex items-center gap-2 text-sm font-semibold text-slate-600">
+                    <input type="checkbox" checked={sp.enabled} onChange={(e)=>setSpeech({ enabled: e.target.checked })} />
+                    <Volume2 size={18}/> Read cards aloud
+                  </label>
+                  {sp.enabled && (
+                    <div className="flex flex-wrap items-center gap-4 text-sm">
+                      <label className="flex items-center gap-2">Language
+                        <input
+                          className="w-24 rounded-lg border-2 border-slate-200 px-2 py-1 focus:border-amber-400 focus:outline-none"
+                          value={sp.lang}
+                          onChange={(e)=>setSpeech({ lang: e.target.value, voiceURI: "" })}
+                          placeholder="en-US"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">Voice
+                        <select
+                          className="max-w-[14rem] rounded-lg border-2 border-slate-200 bg-white px-2 py-1 focus:border-amber-400 focus:outline-none"
+                          value={sp.voiceURI}
+                          onChange={(e)=>setSpeech({ voiceURI: e.target.value })}
+                        >
+                          <option value="">Default</option>
+                          {langVoices.map((v) => <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>)}
+                        </select>
+                      </label>
+                      <label className="flex items-center gap-2">Speed
+                        <input type="range" min={0.5} max={1.5} step={0.05} value={sp.rate} onChange={(e)=>setSpeech({ rate: parseFloat(e.target.value) })} />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={sp.autoFront} onChange={(e)=>setSpeech({ autoFront: e.target.checked })} /> Read front automatically
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={sp.autoReveal} onChange={(e)=>setSpeech({ autoReveal: e.target.checked })} /> Read back on reveal
+                      </label>
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
+            {bulkOpen ? (() => {
+              const rows = bulkRows();
+              const flagged = rows.filter((r) => r.flag).length;
+              const adding = bulkSkipFlagged ? rows.length - flagged : rows.length;
+              return (
+                <div className="space-y-3 rounded-2xl bg-white p-4 shadow">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2 font-semibold"><ClipboardPaste size={18} className="text-amber-500"/> Bulk add cards</div>
+                    <button onClick={()=>setBulkOpen(false)} className="text-sm text-slate-500">Close</button>
+                  </div>
+                  <textarea
+                    className="h-40 w-full rounded-xl border-2 border-slate-200 px-3 py-2 font-mono text-sm focus:border-amber-400 focus:outline-none"
+                    value={bulkText}
+                    onChange={(e)=>setBulkText(e.target.value)}
+                    placeholder={"One card per line:\nthe\nwas | saw backwards? | not \"saw\"\n\nor a list: the, and, a, to"}
+                    autoFocus
+                  />
+                  <div className="flex flex-wrap items-center gap-3 text-sm">
+                    <label className="flex items-center gap-2">Backs
+                      <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={bulkAutoBack} onChange={(e)=>setBulkAutoBack(/** @type {keyof typeof AUTO_BACKS} */(e.target.value))}>
+                        {Object.entries(AUTO_BACKS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={bulkSkipFlagged} onChange={(e)=>setBulkSkipFlagged(e.target.checked)} /> Skip flagged cards
+                    </label>
+                  </div>
+                  {rows.length > 0 && (
+                    <div className="max-h-64 overflow-y-auto rounded-xl border-2 border-slate-100">
+                      {rows.map(({ card, flag, match, inPaste }, i) => (
+                        <div key={i} className={`flex items-center gap-3 border-b border-slate-100 px-3 py-1.5 text-sm last:border-0 ${flag && bulkSkipFlagged ? "opacity-50" : ""}`}>
+                          <div className="w-6 text-right text-xs text-slate-400">{i + 1}</div>
+                          <div className="min-w-0 flex-1 truncate">
+                            <span className="font-semibold">{card.front}</span>
+                            {card.back && <span className="text-slate-500"> · {card.back}</span>}
+                            {card.hint && <span className="italic text-slate-400"> · {card.hint}</span>}
+                          </div>
+                          {flag && (
+                            <span className={`shrink-0 rounded-full px-2 py-0.5 text-xs font-semibold ${flag === "duplicate" ? "bg-rose-100 text-rose-700" : "bg-amber-100 text-amber-700"}`}>
+                              {flag === "duplicate" ? "Duplicate" : `Like “${match}”`}{inPaste ? " above" : " in deck"}
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  <button
+                    onClick={addBulkCards}
+                    disabled={adding === 0}
+                    className="w-full rounded-2xl bg-amber-500 px-4 py-3 font-semibold text-white shadow active:scale-95 disabled:opacity-50"
+                  >
+                    Add {adding} card{adding === 1 ? "" : "s"}{flagged > 0 && bulkSkipFlagged ? ` (skipping ${flagged})` : ""}
+                  </button>
+                </div>
+              );
+            })() : (
+              <button onClick={()=>setBulkOpen(true)} className="flex w-full items-center justify-center gap-2 rounded-2xl border-2 border-dashed border-slate-300 bg-white px-4 py-3 text-sm font-semibold text-slate-600 active:scale-95">
+                <ClipboardPaste size={18}/> Paste a list of cards
+              </button>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <button
+                onClick={()=>{ setSelectMode(!selectMode); setSelectedCards(new Set()); }}
+                className={`flex items-center gap-2 rounded-xl border-2 px-3 py-2 font-semibold active:scale-95 ${selectMode ? "border-amber-500 bg-amber-50 text-amber-700" : "border-slate-200 bg-white text-slate-600"}`}
+              >
+                <CheckSquare size={16}/> {selectMode ? "Done selecting" : "Select cards"}
+              </button>
+              <label className="flex items-center gap-2 rounded-xl border-2 border-slate-200 bg-white px-3 py-1.5 font-semibold text-slate-600">
+                <ListOrdered size={16}/>
+                <select className="bg-transparent" value="" onChange={(e)=>e.target.value && sortDraft(e.target.value)}>
+                  <option value="">Sort…</option>
+                  {Object.entries(SORTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </label>
+              {!selectMode && <span className="text-xs text-slate-500">Drag <GripVertical size={12} className="inline"/> to reorder; “In order” practice follows this order.</span>}
+            </div>
+
+            {selectMode && (
+              <div className="sticky top-2 z-10 flex flex-wrap items-center gap-2 rounded-2xl bg-white p-3 text-sm shadow-lg">
+                <span className="font-semibold">{selectedCards.size} selected</span>
+                <button onClick={()=>setSelectedCards(new Set(draftDeck.cards.filter((c) => c.front.trim()).map((c) => c.id)))} className="rounded-lg px-2 py-1 text-amber-600">All</button>
+                <button onClick={()=>setSelectedCards(new Set())} className="rounded-lg px-2 py-1 text-slate-500">None</button>
+                <div className="flex-1"/>
+                <button disabled={!selectedCards.size} onClick={duplicateSelected} className="flex items-center gap-1 rounded-lg border-2 border-slate-200 px-2 py-1 font-semibold disabled:opacity-40"><Copy size={14}/> Duplicate</button>
+                {["move", "copy"].map((action) => (
+                  <select
+                    key={action}
+                    disabled={!selectedCards.size}
+                    value=""
+                    onChange={(e)=>transferSelected(e.target.value, action === "move")}
+                    className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1 font-semibold disabled:opacity-40"
+                  >
+                    <option value="">{action === "move" ? "Move to…" : "Copy to…"}</option>
+                    {decks.filter((d) => d.id !== draftDeck.id).map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+                  </select>
+                ))}
+                <button disabled={!selectedCards.size} onClick={deleteSelected} className="flex items-center gap-1 rounded-lg border-2 border-slate-200 px-2 py-1 font-semibold text-rose-600 disabled:opacity-40"><Trash2 size={14}/> Delete</button>
+                {draftTransfers.length > 0 && (
+                  <div className="w-full text-xs text-slate-500">
+                    When you save: {draftTransfers.map((t) => `${t.cards.length} to ${decks.find((d) => d.id === t.deckId)?.name || "a deleted deck"}`).join(", ")}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6">
               {draftDeck.cards.length === 0 && (
                 <div className="col-span-full rounded-2xl bg-white p-4 text-center text-sm text-slate-500 shadow">No cards yet — add some!</div>
@@ -1006,10 +3115,34 @@ const addDraftCard = () => {
               {draftDeck.cards.map((c, i) => {
                 const isExpanded = expandedCards.has(c.id);
                 return (
-                  <div key={c.id} className="rounded-2xl bg-white p-5 shadow">
+                  <div
+                    key={c.id}
+                    data-card-id={c.id}
+                    className={`rounded-2xl bg-white p-5 shadow ${dragCardId === c.id ? "ring-4 ring-amber-300" : ""} ${selectedCards.has(c.id) ? "ring-2 ring-amber-500" : ""}`}
+                  >
                     <div className="mb-4">
                       <div className="flex items-center justify-between mb-3">
-                        <div className="text-lg font-semibold text-slate-800">Card {i+1}</div>
+                        <div className="flex items-center gap-2">
+                          {selectMode ? (
+                            <input type="checkbox" className="h-5 w-5" checked={selectedCards.has(c.id)} onChange={()=>toggleSelected(c.id)} aria-label={`Select card ${i+1}`} />
+                          ) : (
+                            <button
+                              className="cursor-grab rounded p-1 text-slate-400 hover:bg-slate-100 active:cursor-grabbing"
+                              style={{ touchAction: "none" }}
+                              onPointerDown={(e)=>{ e.currentTarget.setPointerCapture(e.pointerId); setDragCardId(c.id); }}
+                              onPointerMove={(e)=>dragPointerMove(e, c.id)}
+                              onPointerUp={()=>setDragCardId(null)}
+                              onPointerCancel={()=>setDragCardId(null)}
+                              aria-label="Drag to reorder"
+                            >
+                              <GripVertical size={18}/>
+                            </button>
+                          )}
+                          {c.frontImage && (
+                            <img src={thumbUrl(c.frontImage)} alt="" loading="lazy" className="h-8 w-8 rounded-md object-cover" />
+                          )}
+                          <div className="text-lg font-semibold text-slate-800">Card {i+1}</div>
+                        </div>
                         <button 
                           onClick={()=>toggleCardExpansion(c.id)}
                           className="rounded-lg border border-slate-300 px-3 py-1.5 hover:bg-slate-50 active:scale-95 transition"
@@ -1050,6 +3183,73 @@ const addDraftCard = () => {
                             placeholder="Hint text"
                           />
                         </div>
+                        {["front", "back"].map((side) => {
+                          const url = side === "front" ? c.frontImage : c.backImage;
+                          const field = side === "front" ? "frontImage" : "backImage";
+                          const busy = uploadingImage === `${c.id}:${side}`;
+                          return (
+                            <div key={side}>
+                              <label className="block text-xs font-medium text-slate-600 mb-1.5">{side === "front" ? "Front" : "Back"} picture (optional)</label>
+                              {url ? (
+                                <div className="flex items-center gap-2">
+                                  <img src={thumbUrl(url)} onError={(e)=>{ e.currentTarget.src = url; }} alt="" loading="lazy" className="h-16 w-16 rounded-lg object-cover" />
+                                  <button onClick={()=>updateDraftCard(c.id, { [field]: undefined })} className="rounded-lg border-2 border-slate-200 px-3 py-2 text-sm text-rose-600 active:scale-95">
+                                    Remove
+                                  </button>
+                                </div>
+                              ) : (
+                                <label className={`flex cursor-pointer items-center justify-center gap-2 rounded-lg border-2 border-dashed border-slate-300 px-3 py-2.5 text-sm font-medium text-slate-600 ${busy ? "opacity-50" : ""}`}>
+                                  <ImageIcon size={16}/> {busy ? "Uploading…" : "Add picture"}
+                                  <input
+                                    type="file"
+                                    accept="image/*"
+                                    className="hidden"
+                                    disabled={busy}
+                                    onChange={(e)=>{ pickCardImage(c.id, side, e.target.files?.[0]); e.target.value = ""; }}
+                                  />
+                                </label>
+                              )}
+                            </div>
+                          );
+                        })}
+                        <div>
+                          <label className="block text-xs font-medium text-slate-600 mb-1.5">Recorded audio (optional)</label>
+                          <div className="flex gap-2">
+                            {recordingCardId === c.id ? (
+                              <button onClick={stopRecording} className="flex flex-1 items-center justify-center gap-2 rounded-lg bg-rose-500 px-3 py-2.5 text-sm font-semibold text-white active:scale-95">
+                                <Square size={16}/> Stop
+                              </button>
+                            ) : (
+                              <button onClick={()=>startRecording(c.id)} disabled={!!recordingCardId} className="flex flex-1 items-center justify-center gap-2 rounded-lg border-2 border-slate-200 px-3 py-2.5 text-sm font-medium text-slate-700 active:scale-95 disabled:opacity-50">
+                                <Mic size={16}/> {c.audioUrl ? "Re-record" : "Record"}
+                              </button>
+                            )}
+                            {c.audioUrl && (
+                              <>
+                                <button onClick={()=>playClip(c.audioUrl)} className="rounded-lg border-2 border-slate-200 px-3 text-slate-600 active:scale-95" aria-label="Play recording">
+                                  <Play size={18}/>
+                                </button>
+                                <button onClick={()=>updateDraftCard(c.id, { audioUrl: undefined })} className="rounded-lg border-2 border-slate-200 px-3 text-rose-600 active:scale-95" aria-label="Remove recording">
+                                  <Trash2 size={18}/>
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-slate-600 mb-1.5">Say as (optional pronunciation)</label>
+                          <div className="flex gap-2">
+                            <input
+                              className="w-full rounded-lg border-2 border-slate-200 px-4 py-2.5 text-base focus:border-amber-400 focus:outline-none"
+                              value={c.say || ""}
+                              onChange={(e)=>updateDraftCard(c.id, { say: e.target.value })}
+                              placeholder={c.front || "e.g. kuh"}
+                            />
+                            <button onClick={()=>speak(cardSpeechText(c, "front"), speechSettings(draftDeck))} className="rounded-lg border-2 border-slate-200 px-3 text-slate-600 active:scale-95" aria-label="Preview pronunciation">
+                              <Volume2 size={18}/>
+                            </button>
+                          </div>
+                        </div>
                         <button onClick={()=>removeDraftCard(c.id)} className="w-full rounded-lg border-2 border-rose-200 bg-rose-50 px-4 py-2.5 text-sm font-medium text-rose-600 hover:bg-rose-100 active:scale-95 transition flex items-center justify-center gap-2">
                           <Trash2 size={16}/> Remove Card
                         </button>
@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from "react";
+import { Printer } from "lucide-react";
+import { fitText, canvasMeasure } from "./textFit";
+
+/**
+ * Printable flashcard sheets for one deck
+ * - Letter/A4, 2–12 cards per page, dashed cut lines
+ * - Optional back pages mirrored left-to-right for long-edge duplex printing
+ * - Text sized with the same fitText/canvas measuring as the card renderer
+ * - Output is the browser's print dialog (which also saves to PDF)
+ */
+
+const PAPER = {
+  letter: { label: "Letter", width: 8.5, height: 11, size: "letter" },
+  a4: { label: "A4", width: 8.27, height: 11.69, size: "A4" },
+};
+// cards per page -> [columns, rows]
+const GRIDS = { 2: [1, 2], 3: [1, 3], 4: [2, 2], 6: [2, 3], 8: [2, 4], 9: [3, 3], 10: [2, 5], 12: [3, 4] };
+const MARGIN_IN = 0.4;
+const DPI = 96;
+
+const applyCase = (text, letterCase) =>
+  letterCase === "upper" ? text.toUpperCase() : letterCase === "lower" ? text.toLowerCase() : text;
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+// Back page: each row reversed so backs line up with their fronts when flipped on the long edge
+function mirrorPage(cards, cols, rows) {
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = cols - 1; c >= 0; c--) cells.push(cards[r * cols + c] || null);
+  }
+  return cells;
+}
+
+export default function PrintSheets({ deck }) {
+  const [paper, setPaper] = useState("letter");
+  const [perPage, setPerPage] = useState(6);
+  const [withBacks, setWithBacks] = useState(false);
+  const [letterCase, setLetterCase] = useState(/** @type {"as-is"|"upper"|"lower"} */("as-is"));
+  const measure = useMemo(() => canvasMeasure(document.createElement("canvas").getContext("2d")), []);
+
+  const page = PAPER[paper];
+  const [cols, rows] = GRIDS[perPage];
+  const cellW = (page.width - 2 * MARGIN_IN) / cols;
+  const cellH = (page.height - 2 * MARGIN_IN) / rows;
+
+  const sheets = chunk(deck.cards, perPage).flatMap((cards, i) => {
+    const padded = Array.from({ length: perPage }, (_, k) => cards[k] || null);
+    const front = { key: `f${i}`, side: "front", cells: padded };
+    return withBacks ? [front, { key: `b${i}`, side: "back", cells: mirrorPage(cards, cols, rows) }] : [front];
+  });
+
+  const renderCell = (card, side, k) => {
+    const text = card ? applyCase((side === "front" ? card.front : card.back) || "", letterCase) : "";
+    const image = card ? (side === "front" ? card.frontImage : card.backImage) : null;
+    const fit = text
+      ? fitText(measure, text, {
+          maxWidth: cellW * DPI * 0.85,
+          maxHeight: cellH * DPI * (image ? 0.35 : 0.75),
+          maxSize: 220,
+          minSize: 10,
+        })
+      : null;
+    return (
+      <div
+        key={k}
+        className="flex flex-col items-center justify-center overflow-hidden text-center"
+        style={{ width: `${cellW}in`, height: `${cellH}in`, outline: "1px dashed #94a3b8", outlineOffset: "-0.5px" }}
+      >
+        {image && <img src={image} alt="" style={{ maxWidth: "85%", maxHeight: "50%", objectFit: "contain" }} />}
+        {fit && (
+          <div style={{ fontFamily: "Arial", fontWeight: "bold", fontSize: `${fit.size}px`, lineHeight: 1.15, color: "#1e293b" }}>
+            {fit.lines.map((line, i) => <div key={i}>{line || "\u00a0"}</div>)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <style>{`
+        @page { size: ${page.size}; margin: 0; }
+        @media print {
+          body * { visibility: hidden; }
+          .print-area, .print-area * { visibility: visible; }
+          .print-area { position: absolute; left: 0; top: 0; }
+          .print-sheet { margin: 0 !important; box-shadow: none !important; break-after: page; }
+        }
+      `}</style>
+
+      <div className="space-y-3 rounded-2xl bg-white p-4 shadow">
+        <div className="text-sm font-semibold text-slate-600">{deck.name} • Print</div>
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">Paper
+            <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={paper} onChange={(e)=>setPaper(e.target.value)}>
+              {Object.entries(PAPER).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">Cards per page
+            <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={perPage} onChange={(e)=>setPerPage(Number(e.target.value))}>
+              {Object.keys(GRIDS).map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">Letters
+            <select className="rounded-lg border-2 border-slate-200 bg-white px-2 py-1" value={letterCase} onChange={(e)=>setLetterCase(e.target.value)}>
+              <option value="as-is">As typed</option>
+              <option value="upper">UPPERCASE</option>
+              <option value="lower">lowercase</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={withBacks} onChange={(e)=>setWithBacks(e.target.checked)} /> Backs (duplex, mirrored)
+          </label>
+        </div>
+        <button onClick={() => window.print()} className="flex w-full items-center justify-center gap-2 rounded-2xl bg-amber-500 px-4 py-3 font-semibold text-white shadow active:scale-95">
+          <Printer size={18}/> Print or save as PDF
+        </button>
+      </div>
+
+      <div className="print-area overflow-x-auto">
+        {sheets.map((sheet) => (
+          <div
+            key={sheet.key}
+            className="print-sheet mx-auto mb-6 bg-white shadow"
+            style={{
+              width: `${page.width}in`,
+              height: `${page.height}in`,
+              padding: `${MARGIN_IN}in`,
+              boxSizing: "border-box",
+              display: "grid",
+              gridTemplateColumns: `repeat(${cols}, ${cellW}in)`,
+              gridAutoRows: `${cellH}in`,
+            }}
+          >
+            {sheet.cells.map((card, k) => renderCell(card, sheet.side, k))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * Bulk card entry for the deck editor
+ * - Pasted text: one card per line as "front | back | hint" (tabs from a spreadsheet work too);
+ *   a single line of comma-separated words ("the, and, a") is split into cards
+ * - Preview flags exact duplicates and whitespace/case-only near-duplicates, against the deck and earlier lines
+ * - Optional auto-filled backs for cards that don't have one (e.g. "B" -> "b")
+ */
+import { cardKey } from "./deckFiles";
+
+/** @typedef {{ front:string, back?:string, hint?:string }} BulkCard */
+/** @typedef {{ card:BulkCard, flag:null|"duplicate"|"near", match?:string, inPaste?:boolean }} BulkRow */
+
+/** Back-filling options; `fill` returns "" when it has nothing useful to add. */
+export const AUTO_BACKS = {
+  none: { label: "Leave backs empty", fill: () => "" },
+  lower: { label: "Lowercase (A → a)", fill: (front) => front.toLowerCase() },
+  upper: { label: "Uppercase (a → A)", fill: (front) => front.toUpperCase() },
+  pair: { label: "Both cases for letters (A → Aa)", fill: (front) => (/^\p{L}$/u.test(front) ? front.toUpperCase() + front.toLowerCase() : "") },
+};
+
+/** @returns {BulkCard[]} */
+export function parseBulkText(text) {
+  const lines = String(text || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines.length === 1 && !/[|\t]/.test(lines[0]) && lines[0].includes(",")) {
+    return lines[0].split(",").map((w) => w.trim()).filter(Boolean).map((front) => ({ front }));
+  }
+  return lines
+    .map((line) => {
+      const [front = "", back = "", hint = ""] = line.split(/\s*[|\t]\s*/);
+      return { front: front.trim(), back: back.trim() || undefined, hint: hint.trim() || undefined };
+    })
+    .filter((c) => c.front);
+}
+
+/** Fill empty backs using one of AUTO_BACKS; a back that would just repeat the front is left empty. */
+export function autoFillBacks(cards, mode = "none") {
+  const { fill } = AUTO_BACKS[mode] || AUTO_BACKS.none;
+  return cards.map((c) => {
+    if (c.back) return c;
+    const back = fill(c.front);
+    return back && back !== c.front ? { ...c, back } : c;
+  });
+}
+
+/**
+ * Flag each pasted card against the deck's cards and the lines above it. A "duplicate" has the
+ * same front exactly (ignoring surrounding spaces); a "near" duplicate differs only in case or spacing.
+ * `match` is the front it clashes with.
+ * @returns {BulkRow[]}
+ */
+export function previewBulk(cards, existing = []) {
+  const seen = new Map(); // cardKey -> { front, inPaste }
+  for (const c of existing) {
+    const key = cardKey(c.front);
+    if (key && !seen.has(key)) seen.set(key, { front: c.front.trim(), inPaste: false });
+  }
+  return cards.map((card) => {
+    const key = cardKey(card.front);
+    const prior = seen.get(key);
+    if (!prior) {
+      seen.set(key, { front: card.front, inPaste: true });
+      return { card, flag: null };
+    }
+    return { card, flag: prior.front === card.front ? "duplicate" : "near", match: prior.front, inPaste: prior.inPaste };
+  });
+}
@@ -0,0 +1,27 @@
+import { parseBulkText, autoFillBacks, previewBulk } from './bulkEntry';
+
+test('reads one card per line with optional back and hint, or a comma list', () => {
+  expect(parseBulkText('the\n\n  was | saw it backwards? | not saw \nA\ta\n')).toEqual([
+    { front: 'the', back: undefined, hint: undefined },
+    { front: 'was', back: 'saw it backwards?', hint: 'not saw' },
+    { front: 'A', back: 'a', hint: undefined },
+  ]);
+  expect(parseBulkText('the, and ,a,').map((c) => c.front)).toEqual(['the', 'and', 'a']);
+});
+
+test('auto-filled backs skip cards that have one or would just repeat the front', () => {
+  const cards = [{ front: 'B' }, { front: 'cat' }, { front: 'D', back: 'dog' }];
+  expect(autoFillBacks(cards, 'lower').map((c) => c.back)).toEqual(['b', undefined, 'dog']);
+  expect(autoFillBacks(cards, 'pair').map((c) => c.back)).toEqual(['Bb', undefined, 'dog']);
+});
+
+test('flags exact and case/spacing-only duplicates against the deck and earlier lines', () => {
+  const rows = previewBulk(parseBulkText('the\nThe\nsaw\nsaw\ngo'), [{ front: 'the ' }, { front: 'Go' }]);
+  expect(rows.map((r) => [r.card.front, r.flag, r.match, r.inPaste])).toEqual([
+    ['the', 'duplicate', 'the', false],
+    ['The', 'near', 'the', false],
+    ['saw', null, undefined, undefined],
+    ['saw', 'duplicate', 'saw', true],
+    ['go', 'near', 'Go', false],
+  ]);
+});
@@ -0,0 +1,56 @@
+/**
+ * Card order in the deck editor
+ * - Drag a card onto another to move it there (pointer events, so touch works too)
+ * - One-off sorts: alphabetical, by length, or hardest first from the child's review schedule
+ * - Multi-select helpers: duplicate in place, copy with fresh ids for another deck
+ * The saved order is what "In order" practice walks through.
+ */
+import { cardKey } from "./deckFiles";
+
+export const SORTS = {
+  alpha: "A → Z",
+  length: "Shortest first",
+  difficulty: "Hardest first",
+};
+
+/**
+ * How hard a card has been, higher is harder: lapses count most, then a low ease, then a low box.
+ * Cards never reviewed sit in the middle (no lapses, starting ease, box 0).
+ * @param {import("./scheduler").CardSchedule|undefined} entry
+ */
+export const difficulty = (entry) => (entry ? entry.lapses * 10 + (3 - entry.ease) * 2 - entry.box : 1);
+
+/**
+ * A sorted copy of the cards; ties keep their current order.
+ * @template {{ id:string, front:string }} C
+ * @param {C[]} cards
+ * @param {keyof typeof SORTS} by
+ * @param {import("./scheduler").DeckSchedule} [schedule]
+ * @returns {C[]}
+ */
+export function sortCards(cards, by, schedule = {}) {
+  const compare = {
+    alpha: (a, b) => cardKey(a.front).localeCompare(cardKey(b.front), undefined, { numeric: true }),
+    length: (a, b) => a.front.trim().length - b.front.trim().length,
+    difficulty: (a, b) => difficulty(schedule[b.id]) - difficulty(schedule[a.id]),
+  }[by];
+  return compare ? cards.slice().sort(compare) : cards.slice();
+}
+
+/** Move the card `fromId` to where `toId` is now (before it when moving up, after it when moving down). */
+export function moveCard(cards, fromId, toId) {
+  const from = cards.findIndex((c) => c.id === fromId);
+  const to = cards.findIndex((c) => c.id === toId);
+  if (from < 0 || to < 0 || from === to) return cards;
+  const next = cards.slice();
+  const [card] = next.splice(from, 1);
+  next.splice(to, 0, card);
+  return next;
+}
+
+/** Copies of the chosen cards with new ids, in deck order. */
+export const copyCards = (cards, ids, makeId) => cards.filter((c) => ids.has(c.id)).map((c) => ({ ...c, id: makeId() }));
+
+/** Each chosen card followed by its copy. */
+export const duplicateCards = (cards, ids, makeId) =>
+  cards.flatMap((c) => (ids.has(c.id) ? [c, { ...c, id: makeId() }] : [c]));
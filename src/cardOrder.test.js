@@ -0,0 +1,34 @@
+import { sortCards, moveCard, copyCards, duplicateCards } from './cardOrder';
+
+const cards = [
+  { id: 'a', front: 'was' },
+  { id: 'b', front: 'Go' },
+  { id: 'c', front: 'a' },
+  { id: 'd', front: 'the' },
+];
+const ids = (list) => list.map((c) => c.id);
+
+test('sorts alphabetically ignoring case, by length, and hardest first', () => {
+  expect(ids(sortCards(cards, 'alpha'))).toEqual(['c', 'b', 'd', 'a']);
+  expect(ids(sortCards(cards, 'length'))).toEqual(['c', 'b', 'a', 'd']);
+  const schedule = {
+    a: { box: 3, ease: 2.8, lapses: 0 },
+    b: { box: 0, ease: 1.9, lapses: 2 },
+    d: { box: 1, ease: 2.3, lapses: 1 },
+  };
+  // c was never reviewed, so it lands between the struggling cards and the known one
+  expect(ids(sortCards(cards, 'difficulty', schedule))).toEqual(['b', 'd', 'c', 'a']);
+});
+
+test('dragging onto a card takes its place', () => {
+  expect(ids(moveCard(cards, 'a', 'c'))).toEqual(['b', 'c', 'a', 'd']);
+  expect(ids(moveCard(cards, 'd', 'b'))).toEqual(['a', 'd', 'b', 'c']);
+  expect(moveCard(cards, 'a', 'missing')).toBe(cards);
+});
+
+test('copies and duplicates get fresh ids', () => {
+  let n = 0;
+  const makeId = () => `new${++n}`;
+  expect(copyCards(cards, new Set(['d', 'b']), makeId)).toEqual([{ id: 'new1', front: 'Go' }, { id: 'new2', front: 'the' }]);
+  expect(ids(duplicateCards(cards, new Set(['a']), makeId))).toEqual(['a', 'new3', 'b', 'c', 'd']);
+});
@@ -0,0 +1,165 @@
+import { fitText, canvasMeasure } from "./textFit";
+
+/**
+ * One card renderer for every picture of a card: downloads, the results image, and the
+ * colours the cast receiver uses
+ * - renderCard(card, { side, theme, width, height }) -> canvas
+ * - Text is auto-fitted (long words shrink, multi-line backs wrap) with textFit
+ * - Picture cards: image on top, text below
+ */
+
+/** @typedef {{ label:string, top:string, bottom:string, text:string, accent:string }} Theme */
+
+/** @type {Object<string, Theme>} */
+export const THEMES = {
+  sunny: { label: "Sunny", top: "#fef3c7", bottom: "#fde68a", text: "#1e293b", accent: "rgba(255, 182, 193, 0.2)" },
+  ocean: { label: "Ocean", top: "#e0f2fe", bottom: "#bae6fd", text: "#0c4a6e", accent: "rgba(56, 189, 248, 0.15)" },
+  meadow: { label: "Meadow", top: "#dcfce7", bottom: "#bbf7d0", text: "#14532d", accent: "rgba(250, 204, 21, 0.2)" },
+  chalkboard: { label: "Chalkboard", top: "#334155", bottom: "#1e293b", text: "#f8fafc", accent: "rgba(255, 255, 255, 0.06)" },
+  plain: { label: "Plain", top: "#ffffff", bottom: "#ffffff", text: "#000000", accent: "rgba(0, 0, 0, 0)" },
+};
+
+export const themeFor = (name) => THEMES[name] || THEMES.sunny;
+
+/**
+ * Where things go on a width×height card. Pure, so it can be tested without a canvas.
+ * @param {(text:string, size:number) => number} measure
+ * @returns {{ image:{ x:number, y:number, w:number, h:number }|null, size:number, lines:string[], x:number, y:number, lineHeight:number }}
+ */
+export function layoutCard(measure, text, { width, height, hasImage = false }) {
+  const lineHeight = 1.15;
+  const textTop = hasImage ? height * 0.64 : height * 0.1;
+  const textHeight = hasImage ? height * 0.3 : height * 0.8;
+  const fit = fitText(measure, text, {
+    maxWidth: width * 0.85,
+    maxHeight: textHeight,
+    maxSize: Math.round(height * (hasImage ? 0.2 : 0.3)),
+    minSize: Math.max(12, Math.round(height * 0.03)),
+    lineHeight,
+  });
+  const blockHeight = fit.lines.length * fit.size * lineHeight;
+  return {
+    image: hasImage ? { x: width * 0.08, y: height * 0.05, w: width * 0.84, h: height * 0.56 } : null,
+    size: fit.size,
+    lines: fit.lines,
+    x: width / 2,
+    // baseline of the first line's middle; lines are centred as a block in the text area
+    y: textTop + (textHeight - blockHeight) / 2 + (fit.size * lineHeight) / 2,
+    lineHeight: fit.size * lineHeight,
+  };
+}
+
+export function loadImage(url) {
+  return new Promise((resolve) => {
+    if (!url) return resolve(null);
+    const img = new Image();
+    img.crossOrigin = "anonymous"; // keep the canvas exportable
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+}
+
+// Draw an image scaled to fit inside the box, centered
+function drawImageContained(ctx, img, { x, y, w, h }) {
+  const scale = Math.min(w / img.width, h / img.height);
+  const dw = img.width * scale;
+  const dh = img.height * scale;
+  ctx.drawImage(img, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+}
+
+function paintBackground(ctx, theme, width, height) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, theme.top);
+  gradient.addColorStop(1, theme.bottom);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = theme.accent;
+  ctx.beginPath();
+  ctx.arc(width * 0.1, height * 0.18, height * 0.14, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.beginPath();
+  ctx.arc(width * 0.9, height * 0.82, height * 0.18, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+function drawLines(ctx, layout, color) {
+  ctx.fillStyle = color;
+  ctx.font = `bold ${layout.size}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  layout.lines.forEach((line, i) => ctx.fillText(line, layout.x, layout.y + i * layout.lineHeight));
+}
+
+/**
+ * Render one side of a card.
+ * @param {{ front:string, back?:string, frontImage?:string, backImage?:string }} card
+ * @param {{ side?:"front"|"back", theme?:string, width?:number, height?:number, uppercase?:boolean }} [options]
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderCard(card, { side = "front", theme, width = 1920, height = 1080, uppercase = false } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const colors = themeFor(theme);
+  paintBackground(ctx, colors, width, height);
+
+  const raw = side === "back" ? card.back || card.front : card.front;
+  const text = uppercase ? (raw || "").toUpperCase() : raw || "";
+  const picture = await loadImage(side === "back" ? card.backImage : card.frontImage);
+  const layout = layoutCard(canvasMeasure(ctx), text, { width, height, hasImage: !!picture });
+  if (picture) drawImageContained(ctx, picture, layout.image);
+  drawLines(ctx, layout, colors.text);
+  return canvas;
+}
+
+/**
+ * Results message and emoji for a score percentage (the results screen, the picture and the TV all use it).
+ * `tone` names the band, for colouring the message.
+ * @returns {{ message:string, emoji:string, tone:"perfect"|"great"|"good"|"practice"|"try"|"together" }}
+ */
+export function resultMessage(percentage) {
+  if (percentage === 100) return { message: "Perfect!", emoji: "🌟", tone: "perfect" };
+  if (percentage >= 80) return { message: "Great job!", emoji: "🎉", tone: "great" };
+  if (percentage >= 60) return { message: "Good work!", emoji: "👍", tone: "good" };
+  if (percentage >= 40) return { message: "Keep practicing!", emoji: "💪", tone: "practice" };
+  if (percentage >= 20) return { message: "Nice try! Keep going!", emoji: "🌱", tone: "try" };
+  return { message: "Let's practice together!", emoji: "🌈", tone: "together" };
+}
+
+/** Rounded score percentage (an empty test counts as 0%). */
+export const scorePercentage = (score) => Math.round((score.correct / Math.max(1, score.total)) * 100);
+
+/**
+ * Results picture: message, emoji, score and an optional caption (child and deck).
+ * @param {{ correct:number, total:number }} score
+ * @returns {HTMLCanvasElement}
+ */
+export function renderResults(score, { theme, width = 1920, height = 1080, caption = "" } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const colors = themeFor(theme);
+  paintBackground(ctx, colors, width, height);
+
+  const percentage = scorePercentage(score);
+  const { message, emoji } = resultMessage(percentage);
+  const measure = canvasMeasure(ctx);
+  const title = layoutCard(measure, message, { width, height: height * 0.45 });
+  drawLines(ctx, title, colors.text);
+
+  ctx.font = `bold ${Math.round(height * 0.2)}px Arial`;
+  ctx.fillText(emoji, width / 2, height * 0.55);
+  ctx.font = `bold ${Math.round(height * 0.12)}px Arial`;
+  ctx.fillText(`${score.correct} / ${score.total} • ${percentage}%`, width / 2, height * 0.74);
+  if (caption) {
+    ctx.font = `bold ${Math.round(height * 0.05)}px Arial`;
+    ctx.fillText(caption, width / 2, height * 0.88);
+  }
+  return canvas;
+}
+
+/** PNG blob of a rendered canvas. */
+export const canvasPng = (canvas) => new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
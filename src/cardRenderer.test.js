@@ -0,0 +1,29 @@
+import { layoutCard, themeFor, THEMES, resultMessage } from './cardRenderer';
+
+// Monospace stand-in for canvas measuring: every character is 0.6em wide
+const measure = (text, size) => text.length * size * 0.6;
+
+test('short text gets the big size, centred on the card', () => {
+  const layout = layoutCard(measure, 'a', { width: 1920, height: 1080 });
+  expect(layout.size).toBe(324);
+  expect(layout.lines).toEqual(['a']);
+  expect(layout.x).toBe(960);
+  expect(layout.y).toBeCloseTo(540);
+  expect(layout.image).toBeNull();
+});
+
+test('long words shrink to fit and multi-line backs wrap inside the text area', () => {
+  const long = layoutCard(measure, 'supercalifragilistic', { width: 1920, height: 1080 });
+  expect(measure(long.lines[0], long.size)).toBeLessThanOrEqual(1920 * 0.85);
+
+  const back = layoutCard(measure, 'the cat sat on the mat with a hat', { width: 1280, height: 720, hasImage: true });
+  expect(back.lines.length).toBeGreaterThan(1);
+  expect(back.lines.length * back.lineHeight).toBeLessThanOrEqual(720 * 0.3);
+  expect(back.y).toBeGreaterThan(back.image.y + back.image.h);
+});
+
+test('unknown themes fall back to sunny; results messages follow the score', () => {
+  expect(themeFor('nope')).toBe(THEMES.sunny);
+  expect(resultMessage(100).message).toBe('Perfect!');
+  expect(resultMessage(10).emoji).toBe('🌈');
+});
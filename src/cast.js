@@ -0,0 +1,54 @@
+/**
+ * Cast sender helpers for the custom receiver (public/receiver.html)
+ * - Everything goes over one message namespace: card, flip, progress, results
+ * - Cards are sent as data; the TV renders them, so flips and card changes are instant
+ * - Image URLs are made absolute, since the receiver loads them from its own origin
+ * - Results carry their message text, so the TV says what the phone and the results picture say
+ */
+
+import { resultMessage, scorePercentage } from "./cardRenderer";
+
+export const CAST_NAMESPACE = "urn:x-cast:com.kinderflashcards";
+
+const absolute = (url) => (url ? new URL(url, window.location.origin).href : undefined);
+
+/** The part of a card the receiver shows. */
+export function castCardPayload(card) {
+  return {
+    front: card.front,
+    back: card.back || undefined,
+    frontImage: absolute(card.frontImage),
+    backImage: absolute(card.backImage),
+  };
+}
+
+/**
+ * `theme` is a cardRenderer theme; the receiver takes its background and text colours.
+ * @returns {{ type:"card", card:object, showBack:boolean, idx?:number, total?:number, theme?:object }}
+ */
+export function cardMessage(card, { showBack = false, idx, total, theme } = {}) {
+  const colors = theme ? { top: theme.top, bottom: theme.bottom, text: theme.text } : undefined;
+  return { type: "card", card: castCardPayload(card), showBack, idx, total, theme: colors };
+}
+
+/** @returns {{ type:"results", score:{ correct:number, total:number }, message:string }} */
+export function resultsMessage(score) {
+  const { message, emoji } = resultMessage(scorePercentage(score));
+  return { type: "results", score, message: `${message} ${emoji}` };
+}
+
+/** Send one message to the receiver; failures are logged, never thrown (casting is best effort). */
+export function sendCastMessage(session, message) {
+  if (!session) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    session.sendMessage(
+      CAST_NAMESPACE,
+      message,
+      () => resolve(true),
+      (error) => {
+        console.warn("Cast message failed:", message.type, error);
+        resolve(false);
+      }
+    );
+  });
+}
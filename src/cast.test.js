@@ -0,0 +1,28 @@
+import { cardMessage, resultsMessage, sendCastMessage, CAST_NAMESPACE } from './cast';
+
+test('card messages carry only what the receiver shows, with absolute image urls', () => {
+  const card = { id: 'x', front: 'cat', say: 'kitty', frontImage: '/uploads/card_1.jpg' };
+  expect(cardMessage(card, { idx: 2, total: 5 })).toEqual({
+    type: 'card',
+    card: { front: 'cat', back: undefined, frontImage: `${window.location.origin}/uploads/card_1.jpg`, backImage: undefined },
+    showBack: false,
+    idx: 2,
+    total: 5,
+    theme: undefined,
+  });
+});
+
+test('results messages carry the same words as the results screen', () => {
+  expect(resultsMessage({ correct: 9, total: 10 })).toEqual({ type: 'results', score: { correct: 9, total: 10 }, message: 'Great job! 🎉' });
+  expect(resultsMessage({ correct: 0, total: 0 }).message).toBe("Let's practice together! 🌈");
+});
+
+test('messages go to the app namespace and failures resolve false', async () => {
+  const sent = [];
+  const ok = { sendMessage: (ns, msg, resolve) => { sent.push([ns, msg]); resolve(); } };
+  const broken = { sendMessage: (ns, msg, resolve, reject) => reject(new Error('gone')) };
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await expect(sendCastMessage(ok, { type: 'flip', showBack: true })).resolves.toBe(true);
+  await expect(sendCastMessage(broken, { type: 'flip', showBack: true })).resolves.toBe(false);
+  expect(sent).toEqual([[CAST_NAMESPACE, { type: 'flip', showBack: true }]]);
+});
@@ -0,0 +1,65 @@
+/**
+ * Curriculum units: an ordered list of decks, each with a mastery goal
+ * - Goal: `percent` or better on `streak` consecutive whole-deck tests (e.g. 90% twice in a row)
+ * - Only tests that covered the whole deck count; "test the missed cards" runs don't
+ * - Step 1 is always open; each later step unlocks once the one before it is mastered
+ */
+
+/** @typedef {{ percent:number, streak:number }} MasteryGoal */
+/** @typedef {{ deckId:string, goal:MasteryGoal }} CurriculumStep */
+/** @typedef {{ id:string, name:string, steps:CurriculumStep[], rev?:number, updatedAt?:number }} Curriculum */
+/** @typedef {"mastered"|"current"|"locked"} StepStatus */
+
+export const DEFAULT_GOAL = /** @type {MasteryGoal} */ ({ percent: 90, streak: 2 });
+
+/**
+ * Whole-deck test scores for one child and deck, oldest first, and whether the goal has been met
+ * (a run of `streak` consecutive scores at or above `percent`, at any point).
+ * @returns {{ met:boolean, scores:number[], run:number }}  run = current streak of passing tests
+ */
+export function deckMastery(sessions, profileId, deckId, deckSize, goal = DEFAULT_GOAL) {
+  const scores = sessions
+    .filter((x) => x.profileId === profileId && x.deckId === deckId && x.total > 0 && x.total >= deckSize)
+    .sort((a, b) => a.finishedAt - b.finishedAt)
+    .map((x) => Math.round((x.correct / x.total) * 100));
+  let run = 0;
+  let met = false;
+  for (const pct of scores) {
+    run = pct >= goal.percent ? run + 1 : 0;
+    if (run >= goal.streak) met = true;
+  }
+  return { met, scores, run };
+}
+
+/**
+ * Status of every step for one child. Steps whose deck no longer exists are skipped.
+ * @returns {{ step:CurriculumStep, deck:object, status:StepStatus, mastery:ReturnType<typeof deckMastery> }[]}
+ */
+export function curriculumProgress(curriculum, decks, sessions, profileId) {
+  let open = true;
+  return curriculum.steps
+    .map((step) => ({ step, deck: decks.find((d) => d.id === step.deckId) }))
+    .filter((x) => x.deck)
+    .map(({ step, deck }) => {
+      const mastery = deckMastery(sessions, profileId, deck.id, deck.cards.length, step.goal || DEFAULT_GOAL);
+      const status = mastery.met && open ? "mastered" : open ? "current" : "locked";
+      open = status === "mastered";
+      return { step, deck, status, mastery };
+    });
+}
+
+/** Index of the step a child is working on (the first not mastered), or steps.length when all are done. */
+export const currentStepIndex = (progress) => {
+  const i = progress.findIndex((p) => p.status !== "mastered");
+  return i === -1 ? progress.length : i;
+};
+
+/** The earlier step a locked deck is waiting on, in any curriculum; null if the deck is open. */
+export function lockedBy(curricula, decks, sessions, profileId, deckId) {
+  for (const c of curricula) {
+    const progress = curriculumProgress(c, decks, sessions, profileId);
+    const i = progress.findIndex((p) => p.deck.id === deckId);
+    if (i > 0 && progress[i].status === "locked") return { curriculum: c, deck: progress[currentStepIndex(progress)].deck };
+  }
+  return null;
+}
@@ -0,0 +1,31 @@
+import { deckMastery, curriculumProgress, currentStepIndex, lockedBy } from './curriculum';
+
+const deck = (id, n) => ({ id, name: id, cards: Array.from({ length: n }, (_, i) => ({ id: `${id}${i}`, front: `${i}` })) });
+const test_ = (deckId, correct, total, at, profileId = 'kid') => ({ deckId, profileId, correct, total, finishedAt: at });
+
+const decks = [deck('letters', 10), deck('sight', 10), deck('cvc', 10)];
+const curriculum = { id: 'c', name: 'K literacy', steps: decks.map((d) => ({ deckId: d.id, goal: { percent: 90, streak: 2 } })) };
+
+test('mastery needs consecutive passing whole-deck tests', () => {
+  const goal = { percent: 90, streak: 2 };
+  expect(deckMastery([test_('letters', 9, 10, 1), test_('letters', 7, 10, 2), test_('letters', 10, 10, 3)], 'kid', 'letters', 10, goal).met).toBe(false);
+  expect(deckMastery([test_('letters', 9, 10, 1), test_('letters', 10, 10, 2)], 'kid', 'letters', 10, goal).met).toBe(true);
+  // a 3-card "missed cards" test doesn't count, nor does another child's test
+  expect(deckMastery([test_('letters', 9, 10, 1), test_('letters', 3, 3, 2), test_('letters', 10, 10, 3, 'other')], 'kid', 'letters', 10, goal))
+    .toEqual({ met: false, scores: [90], run: 1 });
+});
+
+test('each step unlocks when the one before it is mastered', () => {
+  const sessions = [test_('letters', 10, 10, 1), test_('letters', 9, 10, 2), test_('cvc', 10, 10, 3), test_('cvc', 10, 10, 4)];
+  const progress = curriculumProgress(curriculum, decks, sessions, 'kid');
+  // cvc was passed early, but stays locked until sight words are mastered
+  expect(progress.map((p) => p.status)).toEqual(['mastered', 'current', 'locked']);
+  expect(currentStepIndex(progress)).toBe(1);
+  expect(lockedBy([curriculum], decks, sessions, 'kid', 'cvc').deck.id).toBe('sight');
+  expect(lockedBy([curriculum], decks, sessions, 'kid', 'sight')).toBeNull();
+});
+
+test('steps for deleted decks are skipped', () => {
+  const progress = curriculumProgress(curriculum, decks.slice(1), [], 'kid');
+  expect(progress.map((p) => [p.deck.id, p.status])).toEqual([['sight', 'current'], ['cvc', 'locked']]);
+});
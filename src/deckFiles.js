@@ -0,0 +1,149 @@
+/**
+ * Deck import/export: CSV/TSV (front, back, hint columns) and JSON
+ * - CSV/TSV: optional header row; an extra "deck" column splits rows into several decks
+ * - JSON: a single deck, an array of decks, or { decks: [...] } as written by exportJson
+ */
+
+const COLUMNS = ["front", "back", "hint"];
+
+/**
+ * Parse delimited text (RFC 4180 quoting: "a, b" and "" for a literal quote).
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+// Tabs win if the first line has any (spreadsheets copy/paste as TSV)
+const detectDelimiter = (text) => (text.split(/\r?\n/, 1)[0].includes("\t") ? "\t" : ",");
+
+/**
+ * @param {string} text
+ * @param {string} fallbackName deck name when there is no "deck" column
+ * @returns {{ name:string, cards:{ front:string, back?:string, hint?:string }[] }[]}
+ */
+export function parseDelimitedDecks(text, fallbackName) {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ""), detectDelimiter(text));
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const hasHeader = header.includes("front");
+  const col = hasHeader
+    ? Object.fromEntries(["deck", ...COLUMNS].map((k) => [k, header.indexOf(k)]))
+    : { deck: -1, front: 0, back: 1, hint: 2 };
+
+  const byName = new Map();
+  for (const r of hasHeader ? rows.slice(1) : rows) {
+    const get = (k) => (col[k] >= 0 ? (r[col[k]] || "").trim() : "");
+    const front = get("front");
+    if (!front) continue;
+    const name = get("deck") || fallbackName;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ front, back: get("back") || undefined, hint: get("hint") || undefined });
+  }
+  return [...byName].map(([name, cards]) => ({ name, cards }));
+}
+
+/** @returns {{ name:string, cards:object[] }[]} */
+export function parseJsonDecks(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.decks) ? data.decks : [data];
+  return list
+    .filter((d) => d && Array.isArray(d.cards))
+    .map((d) => ({
+      ...d,
+      name: String(d.name || "Imported Deck"),
+      cards: d.cards.filter((c) => c && String(c.front || "").trim()).map((c) => ({ ...c, front: String(c.front).trim() })),
+    }));
+}
+
+/**
+ * Parse an uploaded file by extension (.json, otherwise CSV/TSV).
+ * Throws with a readable message if the file can't be understood.
+ */
+export function parseDeckFile(text, filename) {
+  const base = filename.replace(/\.[^.]+$/, "") || "Imported Deck";
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    try {
+      return parseJsonDecks(text);
+    } catch (e) {
+      throw new Error(`Not a valid JSON deck file (${e.message})`);
+    }
+  }
+  return parseDelimitedDecks(text, base);
+}
+
+/** Key used to spot duplicate cards: case and surrounding whitespace don't count. */
+export const cardKey = (front) => String(front || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Duplicate fronts within the cards, and against existing cards if given.
+ * @returns {{ front:string, reason:"repeated"|"existing" }[]}
+ */
+export function findDuplicates(cards, existing = []) {
+  const existingKeys = new Set(existing.map((c) => cardKey(c.front)));
+  const seen = new Set();
+  const dups = [];
+  for (const c of cards) {
+    const key = cardKey(c.front);
+    if (existingKeys.has(key)) dups.push({ front: c.front, reason: "existing" });
+    else if (seen.has(key)) dups.push({ front: c.front, reason: "repeated" });
+    seen.add(key);
+  }
+  return dups;
+}
+
+// ---------- Export ----------
+const quoteField = (value, delimiter) => {
+  const s = value == null ? "" : String(value);
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** One or more decks as CSV/TSV; a "deck" column is added when there is more than one. */
+export function exportDelimited(decks, delimiter = ",") {
+  const multi = decks.length > 1;
+  const header = multi ? ["deck", ...COLUMNS] : COLUMNS;
+  const lines = [header.join(delimiter)];
+  for (const d of decks) {
+    for (const c of d.cards) {
+      const fields = COLUMNS.map((k) => c[k]);
+      lines.push((multi ? [d.name, ...fields] : fields).map((f) => quoteField(f, delimiter)).join(delimiter));
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function exportJson(decks) {
+  return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), decks }, null, 2);
+}
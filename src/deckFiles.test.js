@@ -0,0 +1,27 @@
+import { parseDeckFile, findDuplicates, exportDelimited, exportJson } from './deckFiles';
+
+test('reads CSV with a header, quoted fields and a deck column', () => {
+  const csv = 'deck,front,back,hint\r\nWeek 1,the,"say: ""the""",\r\nWeek 1,"like, love",,a hint\r\nWeek 2,was,,\r\n';
+  expect(parseDeckFile(csv, 'words.csv')).toEqual([
+    { name: 'Week 1', cards: [{ front: 'the', back: 'say: "the"', hint: undefined }, { front: 'like, love', back: undefined, hint: 'a hint' }] },
+    { name: 'Week 2', cards: [{ front: 'was', back: undefined, hint: undefined }] },
+  ]);
+});
+
+test('reads headerless TSV positionally and names the deck after the file', () => {
+  const [deck] = parseDeckFile('cat\tCAT\tmeow\ndog\n\n', 'CVC words.tsv');
+  expect(deck.name).toBe('CVC words');
+  expect(deck.cards.map((c) => c.front)).toEqual(['cat', 'dog']);
+  expect(deck.cards[0].hint).toBe('meow');
+});
+
+test('CSV and JSON exports read back in', () => {
+  const decks = [{ id: 'x', name: 'Sight', cards: [{ id: '1', front: 'a, b', back: 'line\nbreak' }] }];
+  expect(parseDeckFile(exportDelimited(decks), 'sight.csv')[0].cards[0]).toMatchObject({ front: 'a, b', back: 'line\nbreak' });
+  expect(parseDeckFile(exportJson(decks), 'all.json')[0]).toMatchObject({ name: 'Sight', cards: [{ front: 'a, b' }] });
+});
+
+test('duplicates ignore case and extra whitespace', () => {
+  const dups = findDuplicates([{ front: 'The' }, { front: ' the ' }, { front: 'go' }], [{ front: 'GO' }]);
+  expect(dups).toEqual([{ front: ' the ', reason: 'repeated' }, { front: 'go', reason: 'existing' }]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Home screen deck browser helpers
+ * - Decks carry optional category, tags, color and grade
+ * - Group by category (alphabetical, uncategorized last), filter by tag, search names and card text
+ */
+
+export const UNCATEGORIZED = "Other decks";
+export const GRADES = ["PreK", "K", "1", "2", "3+"];
+
+const lower = (s) => String(s || "").toLowerCase();
+
+/** "week 1, Sight,  week 1" -> ["week 1", "Sight"] (trimmed, no blanks, case-insensitive dedupe) */
+export function parseTags(text) {
+  const seen = new Set();
+  return String(text || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => t && !seen.has(lower(t)) && seen.add(lower(t)));
+}
+
+/** Every tag in use, sorted, first spelling wins. */
+export function allTags(decks) {
+  return parseTags(decks.flatMap((d) => d.tags || []).join(",")).sort((a, b) => a.localeCompare(b));
+}
+
+export const allCategories = (decks) =>
+  [...new Set(decks.map((d) => (d.category || "").trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Decks matching a search and tag. A deck matches the search on its name or category, or on any
+ * card's front/back/hint; `cardMatches` says how many cards matched.
+ * @template {{ name:string, category?:string, tags?:string[], cards:{ front:string, back?:string, hint?:string }[] }} D
+ * @returns {{ deck:D, cardMatches:number }[]}
+ */
+export function filterDecks(decks, { query = "", tag = "" } = {}) {
+  const q = lower(query).trim();
+  return decks
+    .filter((d) => !tag || (d.tags || []).some((t) => lower(t) === lower(tag)))
+    .map((deck) => {
+      if (!q) return { deck, cardMatches: 0 };
+      const cardMatches = deck.cards.filter((c) => [c.front, c.back, c.hint].some((f) => lower(f).includes(q))).length;
+      const named = lower(deck.name).includes(q) || lower(deck.category).includes(q);
+      return named || cardMatches ? { deck, cardMatches } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Group items by their deck's category; categories alphabetical, uncategorized last, deck order kept.
+ * @template {{ deck:{ category?:string } }} T
+ * @returns {{ category:string, items:T[] }[]}
+ */
+export function groupByCategory(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const category = (item.deck.category || "").trim() || UNCATEGORIZED;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(item);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+    .map(([category, items]) => ({ category, items }));
+}
@@ -0,0 +1,29 @@
+import { parseTags, allTags, filterDecks, groupByCategory, UNCATEGORIZED } from './deckLibrary';
+
+const decks = [
+  { name: 'Week 2', category: 'Sight Words', tags: ['week 2'], cards: [{ front: 'was' }, { front: 'saw' }] },
+  { name: 'Alphabet', category: 'Alphabet', tags: ['letters'], cards: [{ front: 'A', hint: 'Letter A' }] },
+  { name: 'Week 1', category: 'Sight Words', tags: ['Week 1', 'review'], cards: [{ front: 'the', back: 'say: the' }] },
+  { name: 'Misc', cards: [{ front: 'cat' }] },
+];
+
+test('tags are trimmed and deduplicated ignoring case', () => {
+  expect(parseTags(' week 1, Sight,, WEEK 1 ')).toEqual(['week 1', 'Sight']);
+  expect(allTags(decks)).toEqual(['letters', 'review', 'Week 1', 'week 2']);
+});
+
+test('search covers deck names, categories and card text; tag filter ignores case', () => {
+  expect(filterDecks(decks, { query: 'saw' }).map((x) => [x.deck.name, x.cardMatches])).toEqual([['Week 2', 1]]);
+  expect(filterDecks(decks, { query: 'sight' }).map((x) => x.deck.name)).toEqual(['Week 2', 'Week 1']);
+  expect(filterDecks(decks, { query: 'letter a' }).map((x) => x.deck.name)).toEqual(['Alphabet']);
+  expect(filterDecks(decks, { tag: 'week 1' }).map((x) => x.deck.name)).toEqual(['Week 1']);
+});
+
+test('groups by category alphabetically with uncategorized decks last', () => {
+  const groups = groupByCategory(filterDecks(decks));
+  expect(groups.map((g) => [g.category, g.items.map((x) => x.deck.name)])).toEqual([
+    ['Alphabet', ['Alphabet']],
+    ['Sight Words', ['Week 2', 'Week 1']],
+    [UNCATEGORIZED, ['Misc']],
+  ]);
+});
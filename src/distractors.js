@@ -0,0 +1,60 @@
+/**
+ * Distractor picking for multiple-choice tests
+ * - Prefers look-alikes: mirror/rotation letters (b/d/p/q, m/w, n/u), anagrams ("was"/"saw"),
+ *   then small edit distance and similar length
+ * - Never offers a second card with the same front as the answer
+ */
+
+// Letters young readers mix up; substituting one for the other is "cheap"
+const CONFUSABLE = [["b", "d"], ["b", "p"], ["d", "q"], ["p", "q"], ["m", "w"], ["n", "u"], ["m", "n"], ["i", "l"], ["i", "j"], ["h", "n"], ["f", "t"], ["c", "e"], ["a", "o"], ["e", "a"]];
+const confusable = new Set(CONFUSABLE.flatMap(([a, b]) => [`${a}${b}`, `${b}${a}`]));
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+/** Edit distance where swapping confusable letters costs half. */
+export function visualDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      const sub = a[i - 1] === b[j - 1] ? 0 : confusable.has(a[i - 1] + b[j - 1]) ? 0.5 : 1;
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + sub);
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+/** Lower is more similar. */
+export function similarity(target, candidate) {
+  const a = norm(target);
+  const b = norm(candidate);
+  const anagram = a.length > 1 && a.split("").sort().join("") === b.split("").sort().join("");
+  if (anagram) return 0;
+  return visualDistance(a, b) + Math.abs(a.length - b.length) * 0.25;
+}
+
+/**
+ * Pick `count` distractor cards for `target`, mostly from the most similar ones
+ * with a little shuffling so the same options don't come up every time.
+ * @template {{ front:string }} T
+ * @param {T} target
+ * @param {T[]} cards whole deck (target is skipped)
+ * @param {number} count
+ * @param {() => number} [random]
+ * @returns {T[]}
+ */
+export function pickDistractors(target, cards, count, random = Math.random) {
+  const seen = new Set([norm(target.front)]);
+  const pool = [];
+  for (const c of cards) {
+    const key = norm(c.front);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pool.push({ card: c, score: similarity(target.front, c.front) + random() * 0.6 });
+  }
+  pool.sort((x, y) => x.score - y.score);
+  return pool.slice(0, count).map((x) => x.card);
+}
@@ -0,0 +1,20 @@
+import { pickDistractors, similarity } from './distractors';
+
+const cards = (words) => words.map((front, i) => ({ id: String(i), front }));
+
+test('mirror letters and anagrams count as look-alikes', () => {
+  expect(similarity('b', 'd')).toBeLessThan(similarity('b', 'k'));
+  expect(similarity('was', 'saw')).toBe(0);
+  expect(similarity('the', 'then')).toBeLessThan(similarity('the', 'go'));
+});
+
+test('picks the most similar cards and never repeats the answer', () => {
+  const deck = cards(['b', 'd', 'B', 'x', 'k', 'p', 'z']);
+  const picked = pickDistractors(deck[0], deck, 2, () => 0).map((c) => c.front);
+  expect(picked).toEqual(['d', 'p']);
+});
+
+test('returns fewer options when the deck is small', () => {
+  const deck = cards(['was', 'saw']);
+  expect(pickDistractors(deck[0], deck, 3).map((c) => c.front)).toEqual(['saw']);
+});
@@ -0,0 +1,37 @@
+/**
+ * Timed-test scoring
+ * - Fluency = correct answers per minute of test time (like DIBELS letter-naming fluency)
+ * - Slowest cards = correct answers that took the longest: known, but not automatic yet
+ */
+
+/** @typedef {{ mode:"off"|"total"|"card", seconds:number }} TestTimer */
+
+export const DEFAULT_TIMER = /** @type {TestTimer} */ ({ mode: "off", seconds: 60 });
+
+/** Correct answers per minute, rounded; 0 when no time was recorded. */
+export function fluencyScore(results, durationMs) {
+  if (!durationMs || durationMs <= 0) return 0;
+  const correct = results.filter((r) => r.correct).length;
+  return Math.round((correct * 60000) / durationMs);
+}
+
+/** "letters" when every front is a single character, otherwise "words" if none have spaces, else "cards". */
+export function fluencyUnit(fronts) {
+  const xs = fronts.map((f) => String(f || "").trim()).filter(Boolean);
+  if (!xs.length) return "cards";
+  if (xs.every((f) => f.length === 1)) return "letters";
+  return xs.every((f) => !/\s/.test(f)) ? "words" : "cards";
+}
+
+/**
+ * The `count` slowest correct answers, slowest first.
+ * @template {{ correct:boolean, ms?:number }} R
+ * @param {R[]} results
+ * @returns {R[]}
+ */
+export function slowestCards(results, count = 5) {
+  return results
+    .filter((r) => r.correct && typeof r.ms === "number")
+    .sort((a, b) => b.ms - a.ms)
+    .slice(0, count);
+}
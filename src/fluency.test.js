@@ -0,0 +1,24 @@
+import { fluencyScore, fluencyUnit, slowestCards } from './fluency';
+
+test('fluency is correct answers per minute of test time', () => {
+  const results = [{ correct: true }, { correct: true }, { correct: false }, { correct: true }];
+  expect(fluencyScore(results, 60000)).toBe(3);
+  expect(fluencyScore(results, 30000)).toBe(6);
+  expect(fluencyScore(results, 0)).toBe(0);
+});
+
+test('unit follows the deck content', () => {
+  expect(fluencyUnit(['a', 'B', 'c'])).toBe('letters');
+  expect(fluencyUnit(['the', 'a'])).toBe('words');
+  expect(fluencyUnit(['ice cream', 'cat'])).toBe('cards');
+});
+
+test('slowest cards ignore wrong answers and come slowest first', () => {
+  const results = [
+    { cardId: 'a', correct: true, ms: 900 },
+    { cardId: 'b', correct: false, ms: 5000 },
+    { cardId: 'c', correct: true, ms: 3100 },
+    { cardId: 'd', correct: true, ms: 1800 },
+  ];
+  expect(slowestCards(results, 2).map((r) => r.cardId)).toEqual(['c', 'd']);
+});
@@ -0,0 +1,318 @@
+/**
+ * QR code generator (byte mode), so share links can be scanned without a third-party service
+ * - Error correction level M, dropping to L when the text is too long for M
+ * - Versions 1–40 chosen automatically; the mask with the lowest penalty score wins
+ * - Returns the module grid; drawing it (SVG, canvas) is up to the caller
+ * Follows ISO/IEC 18004; the block tables are per version (index 0 unused).
+ */
+
+import { utf8Bytes } from "./utf8";
+
+const LEVELS = {
+  // format bits, error correction codewords per block, number of blocks
+  L: {
+    bits: 1,
+    ecc: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  },
+  M: {
+    bits: 0,
+    ecc: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  },
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// ---------- Reed–Solomon over GF(256) ----------
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/** Error correction codewords for one block of data codewords. */
+export function rsRemainder(data, degree) {
+  const divisor = rsDivisor(degree);
+  const result = new Array(degree).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ---------- Sizes ----------
+// Data + error correction modules left once the function patterns are drawn
+function rawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+const dataCodewords = (version, level) =>
+  Math.floor(rawModules(version) / 8) - LEVELS[level].ecc[version] * LEVELS[level].blocks[version];
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const size = version * 4 + 17;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+/** 15 format bits (level + mask, BCH-protected and XOR-masked). */
+export function formatBits(level, mask) {
+  const data = (LEVELS[level].bits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// ---------- Encoding ----------
+function dataBytes(bytes, version, level) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push(bit(value, i)); };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+  const capacity = dataCodewords(version, level) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const result = [];
+  for (let i = 0; i < bits.length; i += 8) result.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | (b ? 1 : 0), 0));
+  for (let pad = 0xec; result.length < capacity / 8; pad ^= 0xec ^ 0x11) result.push(pad);
+  return result;
+}
+
+// Split into blocks, add error correction to each, then interleave
+function withErrorCorrection(data, version, level) {
+  const numBlocks = LEVELS[level].blocks[version];
+  const eccLen = LEVELS[level].ecc[version];
+  const raw = Math.floor(rawModules(version) / 8);
+  const numShort = numBlocks - (raw % numBlocks);
+  const shortLen = Math.floor(raw / numBlocks);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, eccLen);
+    if (i < numShort) dat.push(0);
+    blocks.push([...dat, ...ecc]);
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// ---------- Drawing ----------
+function drawFunctionPatterns(grid, version) {
+  const { size } = grid;
+  for (let i = 0; i < size; i++) {
+    grid.set(6, i, i % 2 === 0, true);
+    grid.set(i, 6, i % 2 === 0, true);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) grid.set(x, y, dist !== 2 && dist !== 4, true);
+      }
+    }
+  }
+  const align = alignmentPositions(version);
+  const last = align.length - 1;
+  align.forEach((ax, i) => align.forEach((ay, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) grid.set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1, true);
+    }
+  }));
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      grid.set(a, b, bit(bits, i), true);
+      grid.set(b, a, bit(bits, i), true);
+    }
+  }
+  drawFormat(grid, 0); // reserve the format areas; redrawn once the mask is known
+}
+
+function drawFormat(grid, bits) {
+  const { size } = grid;
+  for (let i = 0; i <= 5; i++) grid.set(8, i, bit(bits, i), true);
+  grid.set(8, 7, bit(bits, 6), true);
+  grid.set(8, 8, bit(bits, 7), true);
+  grid.set(7, 8, bit(bits, 8), true);
+  for (let i = 9; i < 15; i++) grid.set(14 - i, 8, bit(bits, i), true);
+  for (let i = 0; i < 8; i++) grid.set(size - 1 - i, 8, bit(bits, i), true);
+  for (let i = 8; i < 15; i++) grid.set(8, size - 15 + i, bit(bits, i), true);
+  grid.set(8, size - 8, true, true); // always dark
+}
+
+// Codeword bits go in two-module columns, zigzagging up and down from the bottom right
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!grid.isFunction[y][x] && i < codewords.length * 8) {
+          grid.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(grid, mask) {
+  const test = MASKS[mask];
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.isFunction[y][x] && test(x, y)) grid.modules[y][x] = !grid.modules[y][x];
+    }
+  }
+}
+
+// Lower is easier to scan: long runs, 2×2 blocks, finder look-alikes and dark/light imbalance cost points
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    const text = line.map((m) => (m ? "1" : "0")).join("");
+    for (const pattern of ["10111010000", "00001011101"]) {
+      for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+function newGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  return {
+    size,
+    modules,
+    isFunction,
+    set(x, y, dark, fn) {
+      modules[y][x] = dark;
+      if (fn) isFunction[y][x] = true;
+    },
+  };
+}
+
+/**
+ * Encode text (UTF-8) as a QR code.
+ * @param {string} text
+ * @returns {{ version:number, level:"M"|"L", size:number, modules:boolean[][] }}  modules[y][x], true = dark
+ * @throws {RangeError} when the text doesn't fit in a version 40 code
+ */
+export function encodeQr(text) {
+  const bytes = utf8Bytes(text);
+  for (const level of ["M", "L"]) {
+    for (let version = 1; version <= 40; version++) {
+      const headerBits = 4 + (version <= 9 ? 8 : 16);
+      if (headerBits + bytes.length * 8 > dataCodewords(version, level) * 8) continue;
+
+      const codewords = withErrorCorrection(dataBytes(bytes, version, level), version, level);
+      let best = null;
+      for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = newGrid(version);
+        drawFunctionPatterns(grid, version);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        drawFormat(grid, formatBits(level, mask));
+        const score = penalty(grid.modules);
+        if (!best || score < best.score) best = { score, grid };
+      }
+      return { version, level, size: best.grid.size, modules: best.grid.modules };
+    }
+  }
+  throw new RangeError("Too long for a QR code");
+}
+
+/** SVG path data for the dark modules (1 unit per module), for a <path> in a viewBox of size + 2×margin. */
+export function qrPath({ modules }, margin = 4) {
+  const parts = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+  }));
+  return parts.join("");
+}
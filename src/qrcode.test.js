@@ -0,0 +1,31 @@
+import { encodeQr, rsRemainder, formatBits, qrPath } from './qrcode';
+
+test('error correction and format bits match the spec examples', () => {
+  // "HELLO WORLD" as a 1-M code (ISO/IEC 18004 walkthrough)
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  expect(rsRemainder(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  expect(formatBits('M', 0).toString(2).padStart(15, '0')).toBe('101010000010010');
+  expect(formatBits('L', 4).toString(2).padStart(15, '0')).toBe('110011000101111');
+});
+
+test('picks the smallest version that fits, at level M then L', () => {
+  expect(encodeQr('a'.repeat(14))).toMatchObject({ version: 1, level: 'M', size: 21 });
+  expect(encodeQr('a'.repeat(15)).version).toBe(2);
+  expect(encodeQr('a'.repeat(2331))).toMatchObject({ version: 40, level: 'M' });
+  expect(encodeQr('a'.repeat(2332))).toMatchObject({ version: 36, level: 'L' });
+  expect(() => encodeQr('a'.repeat(2954))).toThrow(RangeError);
+});
+
+test('draws finder, timing and dark modules', () => {
+  const { modules, size } = encodeQr('https://example.com/#s=ABC123');
+  const row = (y, x0, n) => modules[y].slice(x0, x0 + n).map(Number).join('');
+  // finder patterns in three corners
+  expect(row(0, 0, 8)).toBe('11111110');
+  expect(row(2, 0, 8)).toBe('10111010');
+  expect(row(0, size - 7, 7)).toBe('1111111');
+  expect(row(size - 1, 0, 7)).toBe('1111111');
+  // timing pattern between the top finders, and the always-dark module
+  expect(row(6, 8, 5)).toBe('10101');
+  expect(modules[size - 8][8]).toBe(true);
+  expect(qrPath({ modules: [[true, false], [false, true]] }, 1)).toBe('M1 1h1v1h-1zM2 2h1v1h-1z');
+});
@@ -0,0 +1,111 @@
+/**
+ * Deck revision history, trash and editor undo/redo
+ * - Every save keeps a revision (a full copy of the deck) on the server (/api/decks/:id/revisions); this device
+ *   keeps only its last few, since localStorage is small and the server has the long history
+ * - Deleted decks go to a trash for 30 days and can be restored from there
+ * - Card-level diffs between revisions: added, removed, changed (which fields), and whether the order changed
+ * - Undo/redo in the editor: snapshots of the draft, with quick edits (typing) folded into one step
+ */
+
+// ---------- Types ----------
+/** @typedef {{ id:string, deckId:string, rev:number, savedAt:number, deck:object }} Revision */
+/** @typedef {{ deck:object, deletedAt:number }} TrashEntry */
+/** @typedef {{ type:"added"|"removed"|"changed"|"same", before?:object, after?:object, fields?:string[] }} CardDiff */
+/** @typedef {{ past:object[], future:object[], lastAt:number }} EditHistory */
+
+export const LOCAL_REVISION_LIMIT = 5;
+export const TRASH_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CARD_FIELDS = ["front", "back", "hint", "say", "audioUrl", "frontImage", "backImage"];
+
+// ---------- Revisions ----------
+/**
+ * Keep a revision of a saved deck (newest first, at most `limit` per deck).
+ * @param {Object<string, Revision[]>} revisions
+ * @returns {Object<string, Revision[]>}
+ */
+export function addRevision(revisions, deck, savedAt = Date.now(), limit = LOCAL_REVISION_LIMIT) {
+  const revision = { id: `${deck.id}@${deck.rev || 0}`, deckId: deck.id, rev: deck.rev || 0, savedAt, deck };
+  const kept = (revisions[deck.id] || []).filter((r) => r.id !== revision.id);
+  return { ...revisions, [deck.id]: [revision, ...kept].slice(0, limit) };
+}
+
+/** Local and server revisions of one deck together, newest first; the server copy wins on the same id. */
+export function mergeRevisions(local = [], server = []) {
+  const byId = new Map([...local, ...server].map((r) => [r.id, r]));
+  return [...byId.values()].sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// ---------- Trash ----------
+/** Drop trash entries older than 30 days. */
+export const pruneTrash = (trash, now = Date.now()) => trash.filter((t) => now - t.deletedAt < TRASH_DAYS * DAY_MS);
+
+/** Whole days left before a trashed deck is gone for good (at least 1 while it's still there). */
+export const trashDaysLeft = (entry, now = Date.now()) =>
+  Math.max(1, Math.ceil((entry.deletedAt + TRASH_DAYS * DAY_MS - now) / DAY_MS));
+
+/** Move a deck into the trash (replacing an older entry for the same deck). */
+export const trashDeck = (trash, deck, now = Date.now()) => [{ deck, deletedAt: now }, ...trash.filter((t) => t.deck.id !== deck.id)];
+
+// ---------- Diffs ----------
+/**
+ * Card-level diff from one version of a deck to another, matching cards by id.
+ * Rows follow the newer deck's order, with removed cards after them.
+ * @returns {{ rows:CardDiff[], added:number, removed:number, changed:number, reordered:boolean }}
+ */
+export function diffCards(before = [], after = []) {
+  const beforeById = new Map(before.map((c) => [c.id, c]));
+  const afterIds = new Set(after.map((c) => c.id));
+  const rows = after.map((card) => {
+    const old = beforeById.get(card.id);
+    if (!old) return { type: "added", after: card };
+    const fields = CARD_FIELDS.filter((f) => (old[f] || "") !== (card[f] || ""));
+    return fields.length ? { type: "changed", before: old, after: card, fields } : { type: "same", before: old, after: card };
+  });
+  for (const card of before) {
+    if (!afterIds.has(card.id)) rows.push({ type: "removed", before: card });
+  }
+  const keptBefore = before.filter((c) => afterIds.has(c.id)).map((c) => c.id);
+  const keptAfter = after.filter((c) => beforeById.has(c.id)).map((c) => c.id);
+  const count = (type) => rows.filter((r) => r.type === type).length;
+  return {
+    rows,
+    added: count("added"),
+    removed: count("removed"),
+    changed: count("changed"),
+    reordered: keptBefore.some((id, i) => id !== keptAfter[i]),
+  };
+}
+
+// ---------- Editor undo/redo ----------
+const HISTORY_LIMIT = 100;
+const MERGE_MS = 1000;
+
+/** @returns {EditHistory} */
+export const emptyHistory = () => ({ past: [], future: [], lastAt: 0 });
+
+/**
+ * Record the draft as it was before an edit. Edits less than a second apart (typing)
+ * share one undo step; any new edit clears the redo stack.
+ * @returns {EditHistory}
+ */
+export function recordEdit(history, previous, now = Date.now()) {
+  const merge = history.past.length > 0 && now - history.lastAt < MERGE_MS;
+  const past = merge ? history.past : [...history.past, previous].slice(-HISTORY_LIMIT);
+  return { past, future: [], lastAt: now };
+}
+
+/** @returns {{ history:EditHistory, draft:object }|null} */
+export function undoEdit(history, current) {
+  if (!history.past.length) return null;
+  const draft = history.past[history.past.length - 1];
+  return { history: { past: history.past.slice(0, -1), future: [current, ...history.future], lastAt: 0 }, draft };
+}
+
+/** @returns {{ history:EditHistory, draft:object }|null} */
+export function redoEdit(history, current) {
+  if (!history.future.length) return null;
+  const [draft, ...future] = history.future;
+  return { history: { past: [...history.past, current], future, lastAt: 0 }, draft };
+}
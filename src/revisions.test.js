@@ -0,0 +1,48 @@
+import { addRevision, mergeRevisions, pruneTrash, trashDaysLeft, diffCards, emptyHistory, recordEdit, undoEdit, redoEdit } from './revisions';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('keeps the newest revisions per deck, one per rev', () => {
+  let revisions = {};
+  for (let rev = 1; rev <= 4; rev++) revisions = addRevision(revisions, { id: 'd', rev, cards: [] }, rev * 10, 3);
+  revisions = addRevision(revisions, { id: 'd', rev: 4, cards: [{ id: 'x' }] }, 50, 3);
+  expect(revisions.d.map((r) => [r.rev, r.savedAt])).toEqual([[4, 50], [3, 30], [2, 20]]);
+  const server = [{ id: 'd@3', rev: 3, savedAt: 31 }, { id: 'd@1', rev: 1, savedAt: 10 }];
+  expect(mergeRevisions(revisions.d, server).map((r) => r.savedAt)).toEqual([50, 31, 20, 10]);
+});
+
+test('trash keeps decks for 30 days', () => {
+  const now = 100 * DAY;
+  const trash = [{ deck: { id: 'a' }, deletedAt: now - 2 * DAY }, { deck: { id: 'b' }, deletedAt: now - 31 * DAY }];
+  expect(pruneTrash(trash, now).map((t) => t.deck.id)).toEqual(['a']);
+  expect(trashDaysLeft(trash[0], now)).toBe(28);
+});
+
+test('card diffs show added, removed, changed fields and reordering', () => {
+  const before = [{ id: '1', front: 'the' }, { id: '2', front: 'was', back: 'saw?' }, { id: '3', front: 'go' }];
+  const after = [{ id: '2', front: 'was' }, { id: '1', front: 'the' }, { id: '4', front: 'see' }];
+  const diff = diffCards(before, after);
+  expect(diff.rows.map((r) => [r.type, (r.after || r.before).front, r.fields])).toEqual([
+    ['changed', 'was', ['back']],
+    ['same', 'the', undefined],
+    ['added', 'see', undefined],
+    ['removed', 'go', undefined],
+  ]);
+  expect(diff).toMatchObject({ added: 1, removed: 1, changed: 1, reordered: true });
+  expect(diffCards(before, before).reordered).toBe(false);
+});
+
+test('undo/redo folds quick edits into one step', () => {
+  let h = emptyHistory();
+  h = recordEdit(h, 'v0', 1000);
+  h = recordEdit(h, 'v1', 1500); // typing: same step as v0
+  h = recordEdit(h, 'v2', 5000);
+  const undone = undoEdit(h, 'v3');
+  expect(undone.draft).toBe('v2');
+  const again = undoEdit(undone.history, 'v2');
+  expect(again.draft).toBe('v0');
+  expect(undoEdit(again.history, 'v0')).toBeNull();
+  const redone = redoEdit(again.history, 'v0');
+  expect(redone.draft).toBe('v2');
+  expect(recordEdit(redone.history, 'v2', 9000).future).toEqual([]);
+});
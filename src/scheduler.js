@@ -0,0 +1,103 @@
+/**
+ * Spaced-repetition scheduler (SM-2 style intervals on top of Leitner boxes)
+ * - Each card gets a schedule entry: box, ease, interval (days), due (ms)
+ * - Correct on a due card: move up a box, interval grows by ease
+ * - Wrong: back to box 0, ease drops, due again right away
+ * - Cards with no entry yet are "new" and always due
+ * - `seen`/`correct` count every answer, due or not (reps restarts at 0 after a miss, so it can't)
+ */
+
+// ---------- Types ----------
+/** @typedef {{ box:number, ease:number, interval:number, due:number, reps:number, lapses:number, seen:number, correct:number, lastReviewed?:number }} CardSchedule */
+/** @typedef {Object<string, CardSchedule>} DeckSchedule */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_BOX = 5;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+
+const startOfDay = (ts) => {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+const endOfDay = (ts) => startOfDay(ts) + DAY_MS - 1;
+
+/** @returns {CardSchedule} */
+export function newSchedule(now = Date.now()) {
+  return { box: 0, ease: START_EASE, interval: 0, due: now, reps: 0, lapses: 0, seen: 0, correct: 0 };
+}
+
+/** A card is due if it has never been reviewed or its due date falls on or before today. */
+export function isDue(entry, now = Date.now()) {
+  return !entry || entry.due <= endOfDay(now);
+}
+
+/**
+ * Apply one answer to a card's schedule entry and return the new entry.
+ * Correct answers on cards that are not due yet (extra practice) don't move them forward.
+ * @param {CardSchedule|undefined} entry
+ * @param {boolean} correct
+ * @returns {CardSchedule}
+ */
+export function reviewCard(entry, correct, now = Date.now()) {
+  const base = entry || newSchedule(now);
+  // entries saved before the answer counters existed start them at 0
+  const prev = { ...base, seen: (base.seen || 0) + 1, correct: (base.correct || 0) + (correct ? 1 : 0) };
+  if (correct) {
+    if (!isDue(prev, now)) return { ...prev, lastReviewed: now };
+    const reps = prev.reps + 1;
+    const interval = reps === 1 ? 1 : reps === 2 ? 3 : Math.round(prev.interval * prev.ease);
+    return {
+      ...prev,
+      box: Math.min(MAX_BOX, prev.box + 1),
+      ease: Math.min(MAX_EASE, prev.ease + 0.1),
+      interval,
+      due: startOfDay(now) + interval * DAY_MS,
+      reps,
+      lastReviewed: now,
+    };
+  }
+  return {
+    ...prev,
+    box: 0,
+    ease: Math.max(MIN_EASE, prev.ease - 0.2),
+    interval: 0,
+    due: now,
+    reps: 0,
+    lapses: prev.lapses + 1,
+    lastReviewed: now,
+  };
+}
+
+/**
+ * Indices into deck.cards that are due today: overdue/missed cards first (lowest box,
+ * earliest due), then cards never seen before in deck order.
+ * @param {{ cards: { id:string }[] }} deck
+ * @param {DeckSchedule} [schedule]
+ * @returns {number[]}
+ */
+export function buildDueQueue(deck, schedule = {}, now = Date.now()) {
+  const reviewed = [];
+  const fresh = [];
+  deck.cards.forEach((c, i) => {
+    const entry = schedule[c.id];
+    if (!entry) fresh.push(i);
+    else if (isDue(entry, now)) reviewed.push(i);
+  });
+  reviewed.sort((a, b) => {
+    const ea = schedule[deck.cards[a].id];
+    const eb = schedule[deck.cards[b].id];
+    return ea.box - eb.box || ea.due - eb.due;
+  });
+  return [...reviewed, ...fresh];
+}
+
+/** Drop entries for cards that no longer exist in the deck. */
+export function pruneSchedule(schedule, cards) {
+  if (!schedule) return schedule;
+  const ids = new Set(cards.map((c) => c.id));
+  return Object.fromEntries(Object.entries(schedule).filter(([id]) => ids.has(id)));
+}
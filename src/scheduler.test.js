@@ -0,0 +1,47 @@
+import { buildDueQueue, reviewCard, isDue, DAY_MS } from './scheduler';
+
+const NOW = new Date(2024, 0, 10, 9, 0, 0).getTime();
+
+test('correct answers push a card out by growing intervals', () => {
+  let entry = reviewCard(undefined, true, NOW);
+  expect(entry.box).toBe(1);
+  expect(entry.interval).toBe(1);
+  expect(isDue(entry, NOW)).toBe(false);
+  expect(isDue(entry, NOW + DAY_MS)).toBe(true);
+
+  entry = reviewCard(entry, true, NOW + DAY_MS);
+  expect(entry.interval).toBe(3);
+  expect(entry.box).toBe(2);
+});
+
+test('a wrong answer resets the box, lowers ease and makes the card due now', () => {
+  const learned = reviewCard(reviewCard(undefined, true, NOW), true, NOW + DAY_MS);
+  const missed = reviewCard(learned, false, NOW + 2 * DAY_MS);
+  expect(missed.box).toBe(0);
+  expect(missed.lapses).toBe(1);
+  expect(missed.ease).toBeLessThan(learned.ease);
+  expect(isDue(missed, NOW + 2 * DAY_MS)).toBe(true);
+});
+
+test('extra correct practice on a card that is not due leaves it scheduled', () => {
+  const entry = reviewCard(undefined, true, NOW);
+  expect(reviewCard(entry, true, NOW + 1000).due).toBe(entry.due);
+});
+
+test('due queue puts missed cards first, then new ones, and skips cards due later', () => {
+  const deck = { cards: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }] };
+  const schedule = {
+    a: reviewCard(undefined, true, NOW),
+    b: reviewCard(undefined, false, NOW),
+  };
+  expect(buildDueQueue(deck, schedule, NOW)).toEqual([1, 2, 3]);
+});
+
+test('answer counters keep counting through misses and extra practice', () => {
+  let entry;
+  for (let i = 0; i < 10; i++) entry = reviewCard(entry, true, NOW + i * 3 * DAY_MS);
+  entry = reviewCard(entry, false, NOW + 40 * DAY_MS);
+  expect(entry.reps).toBe(0);
+  expect(entry).toMatchObject({ seen: 11, correct: 10 });
+  expect(reviewCard({ box: 1, ease: 2.5, interval: 1, due: NOW + DAY_MS, reps: 1, lapses: 0 }, true, NOW)).toMatchObject({ seen: 1, correct: 1 });
+});
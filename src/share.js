@@ -0,0 +1,88 @@
+/**
+ * Share links for decks
+ * - Link: the deck itself in the URL hash (#deck=…), deflate-compressed and base64url-encoded
+ *   ("z" prefix; "j" is plain JSON for browsers without CompressionStream)
+ * - Short code: the deck is registered on the server (POST /api/shares) and the link is #s=CODE
+ * - Only what's needed to rebuild the deck travels; picture/audio URLs are made absolute
+ */
+
+import { utf8Bytes, utf8Text } from "./utf8";
+
+const CARD_FIELDS = ["front", "back", "hint", "say", "audioUrl", "frontImage", "backImage"];
+const URL_FIELDS = ["audioUrl", "frontImage", "backImage"];
+const DECK_FIELDS = ["id", "name", "speech", "theme", "category", "tags", "color", "grade"];
+
+/** The parts of a deck a recipient needs (no revision, no card ids). */
+export function sharedDeck(deck, origin = window.location.origin) {
+  const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => obj[k] !== undefined && obj[k] !== "").map((k) => [k, obj[k]]));
+  return {
+    ...pick(deck, DECK_FIELDS),
+    cards: deck.cards.filter((c) => c.front.trim()).map((c) => {
+      const card = pick(c, CARD_FIELDS);
+      URL_FIELDS.forEach((k) => { if (card[k]) card[k] = new URL(card[k], origin).href; });
+      return card;
+    }),
+  };
+}
+
+// ---------- base64url ----------
+export function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// Bytes through a CompressionStream/DecompressionStream; bad input rejects on the read side
+async function pipe(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  writer.write(new Uint8Array(bytes)).catch(() => {});
+  writer.close().catch(() => {});
+  const reader = transform.readable.getReader();
+  let out = [];
+  let chunk = await reader.read();
+  while (!chunk.done) {
+    out = out.concat(Array.from(chunk.value));
+    chunk = await reader.read();
+  }
+  return out;
+}
+
+// ---------- Links ----------
+/** "#deck=…" payload for a deck (compressed when the browser can). */
+export async function encodeDeck(deck) {
+  const bytes = utf8Bytes(JSON.stringify(deck));
+  if (typeof CompressionStream === "undefined") return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+/** @throws {Error} with a readable message when the link is damaged */
+export async function decodeDeck(payload) {
+  try {
+    const kind = payload[0];
+    let bytes = fromBase64Url(payload.slice(1));
+    if (kind === "z") bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+    else if (kind !== "j") throw new Error("unknown format");
+    const deck = JSON.parse(utf8Text(bytes));
+    if (!deck || typeof deck.name !== "string" || !Array.isArray(deck.cards)) throw new Error("no deck inside");
+    return deck;
+  } catch (e) {
+    throw new Error(`This share link is incomplete or damaged (${e.message}).`);
+  }
+}
+
+export const deckLink = (payload, origin = window.location.origin) => `${origin}/#deck=${payload}`;
+export const codeLink = (code, origin = window.location.origin) => `${origin}/#s=${code}`;
+
+/** What a location hash asks to open: a deck in the link, a short code, or nothing. */
+export function parseShareHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (params.get("deck")) return { kind: "deck", payload: params.get("deck") };
+  const code = (params.get("s") || "").trim().toUpperCase();
+  if (/^[A-Z0-9]{4,12}$/.test(code)) return { kind: "code", code };
+  return null;
+}
@@ -0,0 +1,49 @@
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { sharedDeck, encodeDeck, decodeDeck, toBase64Url, fromBase64Url, parseShareHash, deckLink } from './share';
+
+const deck = {
+  id: 'w1', name: 'Week 1 – sight words', rev: 7, category: 'Sight Words', tags: ['week 1'],
+  cards: [
+    { id: 'c1', front: 'the', hint: 'ðe', frontImage: '/uploads/the.png' },
+    { id: 'c2', front: '  ' },
+  ],
+};
+
+test('shares only what a recipient needs, with absolute picture URLs', () => {
+  expect(sharedDeck(deck, 'https://cards.example')).toEqual({
+    id: 'w1', name: 'Week 1 – sight words', category: 'Sight Words', tags: ['week 1'],
+    cards: [{ front: 'the', hint: 'ðe', frontImage: 'https://cards.example/uploads/the.png' }],
+  });
+});
+
+test('link payloads round-trip, including non-ASCII text', async () => {
+  expect(fromBase64Url(toBase64Url([0, 250, 251, 255]))).toEqual([0, 250, 251, 255]);
+  const shared = sharedDeck(deck, 'https://cards.example');
+  const payload = await encodeDeck(shared);
+  expect(payload).toMatch(/^[jz][A-Za-z0-9_-]+$/);
+  expect(await decodeDeck(payload)).toEqual(shared);
+  await expect(decodeDeck(payload.slice(0, 20))).rejects.toThrow(/damaged/);
+});
+
+test('compressed links round-trip through deflate-raw', async () => {
+  // jsdom has no CompressionStream; Node's behaves like the browser's
+  Object.assign(global, { CompressionStream, DecompressionStream });
+  try {
+    const shared = { name: 'Letters', cards: 'abcdefghijklmnopqrstuvwxyz'.split('').map((l) => ({ front: l, back: l.toUpperCase() })) };
+    const payload = await encodeDeck(shared);
+    expect(payload[0]).toBe('z');
+    expect(payload.length).toBeLessThan(toBase64Url(Array.from(Buffer.from(JSON.stringify(shared)))).length);
+    expect(await decodeDeck(payload)).toEqual(shared);
+    await expect(decodeDeck(`z${payload.slice(1, 12)}`)).rejects.toThrow(/damaged/);
+  } finally {
+    delete global.CompressionStream;
+    delete global.DecompressionStream;
+  }
+});
+
+test('reads deck links and short codes from the hash', () => {
+  expect(parseShareHash(new URL(deckLink('jabc', 'https://x.example')).hash)).toEqual({ kind: 'deck', payload: 'jabc' });
+  expect(parseShareHash('#s=k7px2q')).toEqual({ kind: 'code', code: 'K7PX2Q' });
+  expect(parseShareHash('#s=../x')).toBeNull();
+  expect(parseShareHash('')).toBeNull();
+});
@@ -0,0 +1,71 @@
+/**
+ * Read-aloud helpers around the browser SpeechSynthesis API
+ * - Per-deck settings: voice, rate, language, auto-read
+ * - Per-card "say" field overrides how the front is pronounced (e.g. "kuh" for /k/)
+ * - A card's recorded clip (audioUrl) wins over TTS for the front
+ */
+
+/** @typedef {{ enabled:boolean, voiceURI:string, rate:number, lang:string, autoFront:boolean, autoReveal:boolean }} SpeechSettings */
+
+/** @type {SpeechSettings} */
+export const DEFAULT_SPEECH = { enabled: false, voiceURI: "", rate: 0.9, lang: "en-US", autoFront: false, autoReveal: false };
+
+export const speechSupported = () => typeof window !== "undefined" && "speechSynthesis" in window;
+
+/** Deck settings merged over the defaults (older decks have none). */
+export const speechSettings = (deck) => ({ ...DEFAULT_SPEECH, ...(deck?.speech || {}) });
+
+export function listVoices() {
+  return speechSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * What to say for one side of a card.
+ * @param {{ front:string, back?:string, hint?:string, say?:string }} card
+ * @param {"front"|"back"|"hint"} side
+ */
+export function cardSpeechText(card, side) {
+  if (!card) return "";
+  if (side === "hint") return card.hint || "";
+  if (side === "back") return card.back || card.say || card.front;
+  return card.say || card.front;
+}
+
+/**
+ * Speak text with a deck's settings, cutting off anything still being read.
+ * @param {string} text
+ * @param {SpeechSettings} settings
+ */
+export function speak(text, settings = DEFAULT_SPEECH) {
+  if (!speechSupported() || !text) return;
+  const synth = window.speechSynthesis;
+  synth.cancel();
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  const voice = listVoices().find((v) => v.voiceURI === settings.voiceURI);
+  if (voice) utterance.voice = voice;
+  utterance.lang = voice?.lang || settings.lang;
+  utterance.rate = settings.rate;
+  synth.speak(utterance);
+}
+
+let currentClip = null;
+
+/** Play a recorded clip, stopping any clip or speech still going. */
+export function playClip(url) {
+  if (speechSupported()) window.speechSynthesis.cancel();
+  if (currentClip) currentClip.pause();
+  currentClip = new Audio(url);
+  currentClip.play().catch((e) => console.warn("Audio playback failed:", e.message));
+}
+
+/**
+ * Read one side of a card: the recorded clip for the front if there is one, otherwise TTS.
+ * @param {{ front:string, back?:string, hint?:string, say?:string, audioUrl?:string }} card
+ * @param {"front"|"back"|"hint"} side
+ * @param {SpeechSettings} settings
+ */
+export function readCard(card, side, settings = DEFAULT_SPEECH) {
+  if (!card) return;
+  if (side === "front" && card.audioUrl) playClip(card.audioUrl);
+  else speak(cardSpeechText(card, side), settings);
+}
@@ -0,0 +1,71 @@
+/**
+ * Offline-first sync helpers
+ * - The outbox is a persisted list of pending POST/PUT/PATCH/DELETE operations
+ * - Writes to the same record coalesce, so a long offline session doesn't pile up
+ * - Startup merge never lets server data clobber local records with unsent changes
+ */
+
+// ---------- Types ----------
+/** @typedef {{ id:string, method:"POST"|"PUT"|"PATCH"|"DELETE", path:string, body?:any, at:number, baseRev?:number }} OutboxOp */
+
+/** "/decks/abc" -> { collection: "/decks", id: "abc" }; "/decks" + body -> id from the body */
+export function opTarget(op) {
+  const [, collection, id] = op.path.split("/");
+  return { collection: `/${collection}`, id: id ? decodeURIComponent(id) : op.body?.id };
+}
+
+/**
+ * Add an operation to the outbox, folding it into pending writes for the same record.
+ * @param {OutboxOp[]} outbox
+ * @param {OutboxOp} op
+ * @returns {OutboxOp[]}
+ */
+export function enqueue(outbox, op) {
+  const { collection, id } = opTarget(op);
+  const sameRecord = (x) => {
+    const t = opTarget(x);
+    return t.collection === collection && t.id === id;
+  };
+
+  if (op.method === "DELETE") {
+    // never reached the server: just forget it
+    const createdOffline = outbox.some((x) => x.method === "POST" && sameRecord(x));
+    const rest = outbox.filter((x) => !sameRecord(x));
+    return createdOffline ? rest : [...rest, op];
+  }
+
+  const idx = outbox.findIndex((x) => sameRecord(x) && x.method !== "DELETE");
+  if (idx < 0) return [...outbox, op];
+  const prev = outbox[idx];
+  const next = outbox.slice();
+  if (op.method === "PATCH") {
+    // fold into the pending write: a pending POST/PUT carries the full record
+    next[idx] = { ...prev, body: { ...prev.body, ...op.body }, at: op.at };
+  } else {
+    // PUT replaces whatever was pending; keep the original method (POST) and base revision
+    next[idx] = { ...prev, body: op.body, at: op.at, method: prev.method === "POST" ? "POST" : op.method, baseRev: prev.baseRev ?? op.baseRev };
+  }
+  return next;
+}
+
+/** Ids of records in a collection that have unsent changes. */
+export function pendingIds(outbox, collection) {
+  return new Set(outbox.map(opTarget).filter((t) => t.collection === collection && t.id).map((t) => t.id));
+}
+
+/**
+ * Merge server records into local ones: server wins except for ids in keepLocal,
+ * and local-only records are kept only when they are still waiting to be sent.
+ * @template {{ id:string }} T
+ * @param {T[]} local
+ * @param {T[]} server
+ * @param {Set<string>} keepLocal
+ * @returns {T[]}
+ */
+export function mergeRecords(local, server, keepLocal) {
+  const localById = new Map(local.map((r) => [r.id, r]));
+  const serverIds = new Set(server.map((r) => r.id));
+  const merged = server.map((r) => (keepLocal.has(r.id) && localById.has(r.id) ? localById.get(r.id) : r));
+  const unsent = local.filter((r) => !serverIds.has(r.id) && keepLocal.has(r.id));
+  return [...merged, ...unsent];
+}
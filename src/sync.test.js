@@ -0,0 +1,39 @@
+import { enqueue, pendingIds, mergeRecords } from './sync';
+
+const op = (method, path, body, extra = {}) => ({ id: Math.random().toString(36), method, path, body, at: 1, ...extra });
+
+test('writes to the same record coalesce', () => {
+  let outbox = enqueue([], op('PUT', '/decks/a', { id: 'a', name: 'One' }, { baseRev: 3 }));
+  outbox = enqueue(outbox, op('PUT', '/decks/a', { id: 'a', name: 'Two' }, { baseRev: 4 }));
+  expect(outbox).toHaveLength(1);
+  expect(outbox[0].body.name).toBe('Two');
+  expect(outbox[0].baseRev).toBe(3);
+
+  outbox = enqueue([], op('POST', '/profiles', { id: 'p', name: 'Ann' }));
+  outbox = enqueue(outbox, op('PATCH', '/profiles/p', { progress: { x: 1 } }));
+  expect(outbox).toHaveLength(1);
+  expect(outbox[0].method).toBe('POST');
+  expect(outbox[0].body).toEqual({ id: 'p', name: 'Ann', progress: { x: 1 } });
+});
+
+test('deleting a record created offline drops it from the outbox entirely', () => {
+  let outbox = enqueue([], op('POST', '/decks', { id: 'a' }));
+  outbox = enqueue(outbox, op('DELETE', '/decks/a'));
+  expect(outbox).toEqual([]);
+
+  outbox = enqueue([], op('PUT', '/decks/b', { id: 'b' }));
+  outbox = enqueue(outbox, op('DELETE', '/decks/b'));
+  expect(outbox.map((x) => x.method)).toEqual(['DELETE']);
+});
+
+test('startup merge keeps local records with unsent changes', () => {
+  const local = [{ id: 'a', v: 'local' }, { id: 'b', v: 'local' }, { id: 'c', v: 'offline-only' }, { id: 'd', v: 'stale' }];
+  const server = [{ id: 'a', v: 'server' }, { id: 'b', v: 'server' }];
+  const outbox = [op('PUT', '/decks/a', { id: 'a' }), op('POST', '/decks', { id: 'c' })];
+  expect(pendingIds(outbox, '/decks')).toEqual(new Set(['a', 'c']));
+  expect(mergeRecords(local, server, pendingIds(outbox, '/decks'))).toEqual([
+    { id: 'a', v: 'local' },
+    { id: 'b', v: 'server' },
+    { id: 'c', v: 'offline-only' },
+  ]);
+});
@@ -0,0 +1,49 @@
+/**
+ * Text fitting shared by the card renderer (cardRenderer.js) and the print sheets.
+ * `measure(text, fontSize)` returns the rendered width in the same units as maxWidth.
+ */
+
+/**
+ * Greedy word wrap; a single word wider than maxWidth gets a line of its own.
+ * Line breaks in the text are kept (an empty line stays as a blank line).
+ */
+export function wrapLines(measure, text, fontSize, maxWidth) {
+  const source = String(text || "");
+  if (!source) return [];
+  return source.split(/\r?\n/).flatMap((paragraph) => {
+    const lines = [];
+    let current = "";
+    for (const word of paragraph.split(" ")) {
+      const test = current + (current ? " " : "") + word;
+      if (measure(test, fontSize) > maxWidth && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = test;
+      }
+    }
+    lines.push(current);
+    return lines;
+  });
+}
+
+/**
+ * Largest font size (stepping down from maxSize) at which the wrapped text fits the box.
+ * @returns {{ size:number, lines:string[] }}
+ */
+export function fitText(measure, text, { maxWidth, maxHeight, maxSize, minSize = 12, lineHeight = 1.15 }) {
+  for (let size = maxSize; size > minSize; size = Math.floor(size * 0.92)) {
+    const lines = wrapLines(measure, text, size, maxWidth);
+    const widest = Math.max(0, ...lines.map((l) => measure(l, size)));
+    if (widest <= maxWidth && lines.length * size * lineHeight <= maxHeight) return { size, lines };
+  }
+  return { size: minSize, lines: wrapLines(measure, text, minSize, maxWidth) };
+}
+
+/** measure() backed by a canvas 2D context; fonts follow the cast renderer ("bold <n>px Arial"). */
+export function canvasMeasure(ctx, family = "Arial", weight = "bold") {
+  return (text, size) => {
+    ctx.font = `${weight} ${size}px ${family}`;
+    return ctx.measureText(text).width;
+  };
+}
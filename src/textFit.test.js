@@ -0,0 +1,21 @@
+import { wrapLines, fitText } from './textFit';
+
+// one unit per character
+const measure = (text, size) => text.length * size;
+
+test('wraps by words and keeps a long word on its own line', () => {
+  expect(wrapLines(measure, 'the cat sat on the mat', 1, 7)).toEqual(['the cat', 'sat on', 'the mat']);
+  expect(wrapLines(measure, 'a butterfly', 1, 5)).toEqual(['a', 'butterfly']);
+  expect(wrapLines(measure, '', 1, 5)).toEqual([]);
+});
+
+test('keeps explicit line breaks before wrapping each line', () => {
+  expect(wrapLines(measure, 'cat\nhat bat', 1, 20)).toEqual(['cat', 'hat bat']);
+  expect(wrapLines(measure, 'one\r\n\ntwo three', 1, 5)).toEqual(['one', '', 'two', 'three']);
+});
+
+test('shrinks the font until every line of a multi-line back fits', () => {
+  const fit = fitText(measure, 'cat\nhat', { maxWidth: 30, maxHeight: 40, maxSize: 20, minSize: 4, lineHeight: 1 });
+  expect(fit.lines).toEqual(['cat', 'hat']);
+  expect(fit.size).toBeLessThanOrEqual(10);
+});
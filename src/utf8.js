@@ -0,0 +1,21 @@
+/**
+ * UTF-8 conversions for the share links and the QR encoder
+ * - Plain functions instead of TextEncoder/TextDecoder, which the test environment lacks
+ * - Bytes are plain number arrays
+ */
+
+/** UTF-8 bytes of a string. */
+export function utf8Bytes(text) {
+  const bytes = [];
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x80) bytes.push(cp);
+    else if (cp < 0x800) bytes.push(0xc0 | (cp >> 6), 0x80 | (cp & 63));
+    else if (cp < 0x10000) bytes.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+    else bytes.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 63), 0x80 | ((cp >> 6) & 63), 0x80 | (cp & 63));
+  }
+  return bytes;
+}
+
+/** @throws {URIError} when the bytes aren't valid UTF-8 */
+export const utf8Text = (bytes) => decodeURIComponent(bytes.map((b) => `%${b.toString(16).padStart(2, "0")}`).join(""));
@@ -0,0 +1,7 @@
+import { utf8Bytes, utf8Text } from './utf8';
+
+test('encodes and decodes multi-byte characters', () => {
+  expect(utf8Bytes('aé€😀')).toEqual([0x61, 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80]);
+  expect(utf8Text(utf8Bytes('ðe – 😀'))).toBe('ðe – 😀');
+  expect(() => utf8Text([0xc3])).toThrow(URIError);
+});